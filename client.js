@@ -1,32 +1,262 @@
 // --- Constants and Configuration ---
-const CANVAS_WIDTH = 100; // Logical pixels
-const CANVAS_HEIGHT = 100; // Logical pixels
-const PIXEL_SIZE = 5; // Display size of each logical pixel
-const COOLDOWN_TIME = 1000; // 1 second in milliseconds
+// Canvas size, cooldown and the rest of the game rules come from the room's
+// settings in 'assignInfo' (see functions/settings.js).
+const CANVAS_DISPLAY_SIZE = 500; // Largest side of the visible canvas, in screen pixels
+const MAX_CELL_SIZE = 48; // Zooming stops once a logical pixel is this many screen pixels wide
+const WHEEL_ZOOM_SPEED = 0.0015; // Zoom factor per wheel delta unit (applied exponentially)
+const KEY_ZOOM_STEP = 1.5; // Zoom factor of the zoom buttons and the + / - keys
+const DRAG_THRESHOLD = 5; // Screen pixels a press must move before it pans instead of clicking
+const MINIMAP_SIZE = 120; // Largest side of the minimap, in screen pixels
+const TOKEN_STORAGE_KEY = 'canvasclash.playerToken'; // localStorage key for our signed player token
+const NICKNAME_STORAGE_KEY = 'canvasclash.nickname'; // localStorage key for the nickname we last picked
+const NICKNAME_MAX_LENGTH = 16; // Same limits as validateNickname in functions/validation.js
+const RECONNECT_BASE_DELAY = 1000; // First reconnect attempt after 1 second...
+const RECONNECT_MAX_DELAY = 30000; // ...doubling up to 30 seconds
+// Close codes that mean reconnecting would not help: normal close, policy
+// violation (room full / not found / rate limited), message too big and
+// 4000 (we connected again elsewhere).
+const NO_RECONNECT_CLOSE_CODES = [1000, 1008, 1009, 4000];
+// Binary frame types, see functions/protocol.js for the layouts
+const FRAME_TYPES = {
+    SNAPSHOT: 1,
+    PIXEL_UPDATE: 2,
+    HEATMAP: 3,
+};
+const PHASE_STATUS = { // Status line shown for each round phase (see PHASES in functions/gameroom.js)
+    lobby: 'Waiting for more players...',
+    readyCheck: 'Waiting for everyone to be ready...',
+    countdown: 'Get ready!',
+    playing: 'Game in progress!',
+    results: 'Round over!',
+};
+const PLACEMENT_REJECT_STATUS = { // Status line for each placeReject reason (see PLACEMENT_REJECTIONS in functions/gameroom.js)
+    notPlaying: 'The round is not in progress.',
+    invalidCoordinates: 'That pixel is outside the canvas.',
+    cooldown: 'Too fast! Wait for your cooldown.',
+    shielded: 'That color is shielded right now.',
+};
+const POWER_UPS = { // Label and map marker of each power-up (see POWER_UPS in functions/powerups.js)
+    bomb: { label: 'Bomb (3x3)', icon: 'B', tool: true },
+    line: { label: 'Line', icon: 'L', tool: true },
+    shield: { label: 'Shield', icon: 'S' },
+    haste: { label: 'Haste', icon: 'H' },
+};
+const BOMB_RADIUS = 1; // Same as functions/powerups.js, for the targeting preview
+const EMOTES = { // Symbol of each emote (see CHAT_EMOTES in functions/gameroom.js)
+    like: '👍',
+    laugh: '😂',
+    wow: '😮',
+    angry: '😡',
+    love: '❤️',
+    party: '🎉',
+};
+const CHAT_MAX_SHOWN = 50; // Older chat lines are removed from the panel
+const EMOTE_POPUP_MS = 2000; // How long an emote stays on the canvas
+const HEATMAP_SIZE = 200; // Largest side of the results heatmap, in screen pixels
 
 // --- DOM Elements ---
 const canvas = document.getElementById('game-canvas');
 const ctx = canvas.getContext('2d');
 const statusEl = document.getElementById('status');
 const playerColorEl = document.getElementById('player-color');
+const nicknameInput = document.getElementById('nickname-input');
+const nicknameButton = document.getElementById('nickname-button');
+const colorPickerPanelEl = document.getElementById('color-picker-panel');
+const colorPickerEl = document.getElementById('color-picker');
+const colorPickerLabelEl = document.getElementById('color-picker-label');
+const teamRostersEl = document.getElementById('team-rosters');
 const timerEl = document.getElementById('timer');
+const objectiveEl = document.getElementById('objective');
+const inventoryEl = document.getElementById('inventory');
+const effectsEl = document.getElementById('effects');
+const canvasContainerEl = document.getElementById('canvas-container');
+const minimapEl = document.getElementById('minimap');
+const minimapCtx = minimapEl.getContext('2d');
+const zoomInButton = document.getElementById('zoom-in');
+const zoomOutButton = document.getElementById('zoom-out');
+const zoomResetButton = document.getElementById('zoom-reset');
+const chatMessagesEl = document.getElementById('chat-messages');
+const chatForm = document.getElementById('chat-form');
+const chatInput = document.getElementById('chat-input');
+const emoteBarEl = document.getElementById('emote-bar');
 const scoreEl = document.getElementById('score');
 const cooldownEl = document.getElementById('cooldown');
 const scoreListEl = document.getElementById('score-list');
+const roomCodeEl = document.getElementById('room-code');
+const copyRoomLinkBtn = document.getElementById('copy-room-link');
+const readyPanelEl = document.getElementById('ready-panel');
+const readyButton = document.getElementById('ready-button');
+const readyCountEl = document.getElementById('ready-count');
+const botPanelEl = document.getElementById('bot-panel');
+const botStrategyEl = document.getElementById('bot-strategy');
+const addBotButton = document.getElementById('add-bot-button');
+const countdownOverlayEl = document.getElementById('countdown-overlay');
+const spectatorCountEl = document.getElementById('spectator-count');
+const replayButton = document.getElementById('replay-button');
+const downloadImageButton = document.getElementById('download-image-button');
+const replayPanelEl = document.getElementById('replay-panel');
+const replayRoundEl = document.getElementById('replay-round');
+const replayCanvas = document.getElementById('replay-canvas');
+const replayCtx = replayCanvas.getContext('2d');
+const replayPlayButton = document.getElementById('replay-play');
+const replayScrubEl = document.getElementById('replay-scrub');
+const replaySpeedEl = document.getElementById('replay-speed');
+const replayTimeEl = document.getElementById('replay-time');
+const replayCloseButton = document.getElementById('replay-close');
+const resultsButton = document.getElementById('results-button');
+const resultsOverlayEl = document.getElementById('results-overlay');
+const resultsTitleEl = document.getElementById('results-title');
+const resultsBodyEl = document.getElementById('results-body');
+const heatmapCanvas = document.getElementById('heatmap-canvas');
+const heatmapCtx = heatmapCanvas.getContext('2d');
+const rematchYesButton = document.getElementById('rematch-yes');
+const rematchNoButton = document.getElementById('rematch-no');
+const rematchCountEl = document.getElementById('rematch-count');
+const resultsCloseButton = document.getElementById('results-close');
 
 // --- State ---
 let webSocket = null;
 let playerColor = '#FFFFFF'; // Default/unset color
 let playerId = null; // Unique ID for this client session (optional but good practice)
+let playerName = null; // Nickname the room gave us (it may have added a number to ours)
+let roster = {}; // playerId -> { name, color, connected } for everyone in the round
+let lastScores = {}; // playerId -> score, kept to redraw the list when the roster changes
+let lastTeamScores = []; // Points of each team, in team mode
+let zones = []; // Capture zones of the 'zones' game mode: [{ x, y, width, height, endsAt, holder }]
+let powerUps = []; // Power-ups lying on the canvas: [{ id, type, x, y }]
+let inventory = []; // Power-ups we collected
+let effects = {}; // Our active power-up effects: { shield, haste } end times (server clock)
+let selectedTool = null; // Tool power-up being aimed; canvas clicks use it instead of placing a pixel
+let lineStart = null; // [x, y] picked first when aiming the line tool
+let hoverCell = null; // [x, y] under the mouse or the keyboard cursor: the cell a click (or Enter) acts on
+let lastEmote = 'like'; // Emote dropped on the canvas with Alt+click
 let currentScore = 0;
-let isOnCooldown = false;
-let lastPlacementTime = 0;
+let isOnCooldown = false; // Set while a placement awaits its answer and until the server's cooldown ends
+let cooldownTimer = null;
+let placementSeq = 0; // Sequence number of our last placePixel
+const pendingPlacements = new Map(); // seq -> canvas index we drew optimistically, until placeAck/placeReject
 let gameRoomId = null; // The ID of the Durable Object room we are in
+let roomCode = null; // Short shareable code of the room we are in
+let currentPhase = 'lobby'; // Round phase reported by the server
+let isReady = false;
+let isSpectator = false; // Connected with ?role=spectator: watch only, no color or placements
+let reconnectAttempts = 0; // Consecutive failed attempts, reset once we're assigned to a room
+let reconnectTimer = null;
+let palette = []; // [[r, g, b], ...] indexed like the server's PALETTE, from the last snapshot
+let phaseEndsAt = null; // Server timestamp (ms) when the current countdown/round/results phase ends
+let clockOffset = 0; // Server clock minus our clock, so local countdowns match the server's
+let settings = null; // Room settings from the server
+let pixelSize = 1; // Display size of each logical pixel, fitted to CANVAS_DISPLAY_SIZE
+let zoom = 1; // View magnification on top of pixelSize; 1 shows the whole canvas
+let viewX = 0; // Logical pixel at the top-left corner of the view (fractional while zoomed)
+let viewY = 0;
+const activePointers = new Map(); // pointerId -> [x, y] (canvas coordinates) of fingers / buttons down on the canvas
+let dragStart = null; // { point, viewX, viewY } when the press started, for panning
+let pinch = null; // { distance, center } of the last two-finger move
+let suppressClick = false; // Set by a pan or pinch, so letting go doesn't also place a pixel
+let lastFinishedRound = null; // Round number from the last gameOver, for the timelapse
+let replay = null; // Loaded timelapse: { startedAt, duration, events, palette, image, pixelCanvas, eventIndex }
+let replayTime = 0; // Playback position in ms since the round started
+let replayPlaying = false;
+let replayLastFrame = null; // requestAnimationFrame timestamp of the previous playback frame
 
 // --- Canvas Setup ---
-canvas.width = CANVAS_WIDTH * PIXEL_SIZE;
-canvas.height = CANVAS_HEIGHT * PIXEL_SIZE;
-ctx.imageSmoothingEnabled = false; // Ensure crisp pixels
+// The game is drawn 1:1 into an offscreen canvas and scaled up onto the visible one,
+// so updates only touch ImageData bytes instead of calling fillRect per pixel.
+// Both are sized by applySettings() once the room tells us its canvas size.
+const pixelCanvas = document.createElement('canvas');
+const pixelCtx = pixelCanvas.getContext('2d');
+let pixelImage = null;
+let canvasIndexes = null; // Palette index of every pixel as last confirmed by the server, for rollbacks
+
+function applySettings(newSettings) {
+    const sizeChanged = !settings ||
+        settings.canvasWidth !== newSettings.canvasWidth || settings.canvasHeight !== newSettings.canvasHeight;
+    settings = newSettings;
+    if (!sizeChanged) return;
+
+    pixelSize = Math.max(1, Math.floor(CANVAS_DISPLAY_SIZE / Math.max(settings.canvasWidth, settings.canvasHeight)));
+    canvas.width = settings.canvasWidth * pixelSize;
+    canvas.height = settings.canvasHeight * pixelSize;
+    ctx.imageSmoothingEnabled = false; // Ensure crisp pixels (resizing resets this)
+    pixelCanvas.width = settings.canvasWidth;
+    pixelCanvas.height = settings.canvasHeight;
+    pixelImage = pixelCtx.createImageData(settings.canvasWidth, settings.canvasHeight);
+    canvasIndexes = new Uint8Array(settings.canvasWidth * settings.canvasHeight);
+
+    const minimapScale = MINIMAP_SIZE / Math.max(settings.canvasWidth, settings.canvasHeight);
+    minimapEl.width = Math.round(settings.canvasWidth * minimapScale);
+    minimapEl.height = Math.round(settings.canvasHeight * minimapScale);
+    zoom = 1;
+    viewX = 0;
+    viewY = 0;
+    hoverCell = null;
+}
+
+// --- View (zoom and pan) ---
+// The visible canvas keeps its size; zooming shows part of the game canvas bigger.
+// "Canvas coordinates" below are pixels of the visible <canvas>, which CSS may
+// scale down on small screens (see clientToCanvas).
+function cellScale() {
+    return pixelSize * zoom; // Canvas coordinates per logical pixel
+}
+
+function maxZoom() {
+    return Math.max(1, MAX_CELL_SIZE / pixelSize);
+}
+
+// Keeps the zoom in range and the view inside the game canvas
+function clampView() {
+    zoom = Math.min(Math.max(zoom, 1), maxZoom());
+    viewX = Math.min(Math.max(viewX, 0), settings.canvasWidth - settings.canvasWidth / zoom);
+    viewY = Math.min(Math.max(viewY, 0), settings.canvasHeight - settings.canvasHeight / zoom);
+}
+
+// Zooms by factor, keeping the point at canvas coordinates [x, y] (default the middle) in place
+function zoomAt(factor, x = canvas.width / 2, y = canvas.height / 2) {
+    if (!settings) return;
+    const cellX = viewX + x / cellScale();
+    const cellY = viewY + y / cellScale();
+    zoom = Math.min(Math.max(zoom * factor, 1), maxZoom());
+    viewX = cellX - x / cellScale();
+    viewY = cellY - y / cellScale();
+    clampView();
+    renderCanvas();
+}
+
+function resetView() {
+    if (!settings) return;
+    zoom = 1;
+    clampView();
+    renderCanvas();
+}
+
+function centerViewOn(x, y) {
+    viewX = x - settings.canvasWidth / zoom / 2;
+    viewY = y - settings.canvasHeight / zoom / 2;
+    clampView();
+    renderCanvas();
+}
+
+// Pans just enough for the logical pixel [x, y] to be visible
+function scrollCellIntoView(x, y) {
+    const visibleWidth = settings.canvasWidth / zoom;
+    const visibleHeight = settings.canvasHeight / zoom;
+    viewX = Math.min(Math.max(viewX, x + 1 - visibleWidth), x);
+    viewY = Math.min(Math.max(viewY, y + 1 - visibleHeight), y);
+    clampView();
+}
+
+// Canvas coordinates of the top-left corner of logical pixel [x, y]
+function cellToCanvas(x, y) {
+    const scale = cellScale();
+    return [(x - viewX) * scale, (y - viewY) * scale];
+}
+
+function clientToCanvas(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    return [(clientX - rect.left) * canvas.width / rect.width, (clientY - rect.top) * canvas.height / rect.height];
+}
 
 // --- WebSocket Connection ---
 function connectWebSocket() {
@@ -34,10 +264,33 @@ function connectWebSocket() {
     // In a real deployment, use wss:// for secure connections
     // The initial connection goes to the main worker, which will then redirect
     // us to the specific Durable Object WebSocket.
-    const wsUrl = `ws://${window.location.host}/websocket`; // Connect to the main worker endpoint
+    const wsUrl = new URL(`ws://${window.location.host}/websocket`); // Connect to the main worker endpoint
+    // Pass through ?room=CODE (join a specific room) or ?room=new (create a private room)
+    const pageParams = new URLSearchParams(window.location.search);
+    const requestedRoom = pageParams.get('room');
+    if (requestedRoom) {
+        wsUrl.searchParams.set('room', requestedRoom);
+    }
+    // ?room=new&settings={...} creates a private room with custom settings
+    if (requestedRoom === 'new' && pageParams.get('settings')) {
+        wsUrl.searchParams.set('settings', pageParams.get('settings'));
+    }
+    if (pageParams.get('role') === 'spectator') {
+        wsUrl.searchParams.set('role', 'spectator');
+    }
+    const nickname = localStorage.getItem(NICKNAME_STORAGE_KEY);
+    if (nickname) {
+        wsUrl.searchParams.set('name', nickname);
+    }
+    // Our token lets the room recognise us and give back our slot and color
+    const playerToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (playerToken) {
+        wsUrl.searchParams.set('token', playerToken);
+    }
 
     console.log(`Attempting to connect to WebSocket at: ${wsUrl}`);
     webSocket = new WebSocket(wsUrl);
+    webSocket.binaryType = 'arraybuffer'; // Canvas data arrives as binary frames
 
     webSocket.onopen = () => {
         console.log('WebSocket connection established with matchmaking.');
@@ -46,6 +299,10 @@ function connectWebSocket() {
     };
 
     webSocket.onmessage = (event) => {
+        if (event.data instanceof ArrayBuffer) {
+            handleBinaryMessage(event.data);
+            return;
+        }
         console.log('WebSocket message received:', event.data);
         try {
             const message = JSON.parse(event.data);
@@ -64,50 +321,160 @@ function connectWebSocket() {
         console.log('WebSocket connection closed:', event.code, event.reason);
         statusEl.textContent = `Disconnected: ${event.reason || 'Connection closed'}`;
         webSocket = null;
-        // Optional: Implement reconnection logic here
+        if (!NO_RECONNECT_CLOSE_CODES.includes(event.code)) {
+            scheduleReconnect();
+        }
     };
 }
 
+// Exponential backoff with a little jitter so a room full of players dropped at
+// the same moment doesn't reconnect in lockstep.
+function scheduleReconnect() {
+    if (reconnectTimer) return;
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts) + Math.random() * 500;
+    reconnectAttempts++;
+    statusEl.textContent = `Connection lost. Reconnecting in ${Math.round(delay / 1000)}s...`;
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connectWebSocket();
+    }, delay);
+}
+
 // --- WebSocket Message Handling ---
 function handleWebSocketMessage(message) {
     switch (message.type) {
         case 'assignInfo':
             // Received from matchmaking worker, telling us which room and color
+            setSpectator(message.role === 'spectator');
+            applySettings(message.settings);
+            if (isSpectator) {
+                console.log(`Watching room ${message.roomId} as a spectator`);
+                gameRoomId = message.roomId;
+                setRoomCode(message.roomCode);
+                reconnectAttempts = 0;
+                break;
+            }
             console.log(`Assigned to room ${message.roomId} with color ${message.color}`);
+            setCooldownState(false); // Anything we sent on an earlier connection is void
             gameRoomId = message.roomId;
             playerColor = message.color;
             playerId = message.playerId; // Store our unique ID
+            playerName = message.name;
+            nicknameInput.value = playerName;
+            if (message.token) {
+                localStorage.setItem(TOKEN_STORAGE_KEY, message.token);
+            }
+            reconnectAttempts = 0;
             playerColorEl.style.backgroundColor = playerColor;
-            statusEl.textContent = `Joined Game Room ${gameRoomId.substring(0, 6)}...`;
+            setRoomCode(message.roomCode);
+            statusEl.textContent = `Joined Game Room ${roomCode || gameRoomId.substring(0, 6)}...`;
             // Note: The actual WebSocket connection might be implicitly handled by the Worker
             // redirecting the initial connection, or we might need to explicitly reconnect
             // to a DO-specific endpoint if the architecture requires it.
             // For now, assume the single connection is routed correctly by the Worker.
             break;
         case 'gameState':
-            // Full initial state of the canvas
+            // Full state of the canvas, on join, on reconnect and after a round reset
+            // The canvas itself follows as a binary snapshot frame
             console.log('Received initial game state');
-            drawCanvas(message.canvasState);
-            updateScores(message.scores);
-            updateTimer(message.timeLeft);
-            statusEl.textContent = 'Game in progress!';
+            applySettings(message.settings);
+            setRoster(message.players);
+            objectiveEl.textContent = message.objective || '';
+            zones = message.zones || [];
+            powerUps = message.powerUps || [];
+            updateScores(message.scores, message.teamScores);
+            updateReadyState(message.readyState);
+            updateSpectatorCount(message.spectators);
+            syncClock(message.serverTime, message.endsAt);
+            setPhase(message.phase);
+            break;
+        case 'spectatorCount':
+            updateSpectatorCount(message.count);
             break;
-        case 'pixelUpdate':
-            // A single pixel was updated
-            console.log(`Pixel update: [${message.x}, ${message.y}] to ${message.color}`);
-            drawPixel(message.x, message.y, message.color);
-            updateScores(message.scores); // Scores might change with pixel updates
+        case 'phase':
+            // The room moved to a new phase of the round lifecycle
+            syncClock(message.serverTime, message.endsAt);
+            setPhase(message.phase);
+            break;
+        case 'readyUpdate':
+            updateReadyState(message.readyState);
             break;
         case 'timerUpdate':
-            updateTimer(message.timeLeft);
+            // The server only sends end times; tickClock() does the counting down
+            syncClock(message.serverTime, message.endsAt);
+            break;
+        case 'zones':
+            // Capture zones moved or changed hands
+            zones = message.zones;
+            renderCanvas();
+            break;
+        case 'powerUps':
+            powerUps = message.powerUps;
+            renderCanvas();
+            break;
+        case 'inventory':
+            inventory = message.inventory;
+            effects = message.effects;
+            renderInventory();
+            break;
+        case 'powerUpUsed':
+            setCooldownUntil(message.serverTime, message.nextAllowedAt);
+            selectTool(null);
+            break;
+        case 'powerUpRejected':
+            setCooldownUntil(message.serverTime, message.nextAllowedAt);
+            statusEl.textContent = message.message;
+            break;
+        case 'powerUpActivated':
+            statusEl.textContent = `${message.playerId === playerId ? 'You' : message.name} used ${POWER_UPS[message.powerUp]?.label || message.powerUp}!`;
+            break;
+        case 'chatHistory':
+            chatMessagesEl.innerHTML = '';
+            message.messages.forEach(addChatMessage);
+            break;
+        case 'chat':
+            addChatMessage(message.message);
+            break;
+        case 'emote':
+            if (message.x !== null) {
+                showEmotePopup(message);
+            } else {
+                addChatLine(message, EMOTES[message.emote] || message.emote);
+            }
             break;
         case 'scoreUpdate':
-            updateScores(message.scores);
+            updateScores(message.scores, message.teamScores);
+            break;
+        case 'roster':
+            // Someone joined, left, renamed or picked another color
+            setRoster(message.players);
+            updateScores(lastScores, lastTeamScores);
+            break;
+        case 'colorChanged':
+            playerColor = message.color;
+            playerColorEl.style.backgroundColor = playerColor;
+            break;
+        case 'placeAck':
+            // The pixel itself arrives with the next pixel update
+            pendingPlacements.delete(message.seq);
+            setCooldownUntil(message.serverTime, message.nextAllowedAt);
+            break;
+        case 'placeReject':
+            rollbackPlacement(message.seq);
+            setCooldownUntil(message.serverTime, message.nextAllowedAt);
+            statusEl.textContent = PLACEMENT_REJECT_STATUS[message.reason] || 'Pixel rejected.';
             break;
         case 'gameOver':
-            statusEl.textContent = `Game Over! Winner: ${message.winnerColor || 'Draw'}`;
-            // Optionally disable canvas clicking
-            canvas.removeEventListener('click', handleCanvasClick);
+            // Clicks are ignored until the next round starts (see handleCanvasClick)
+            setRoster(message.players);
+            statusEl.textContent = `Game Over! ${describeResult(message)} - next round in ${message.resultsSeconds}s`;
+            lastFinishedRound = message.round;
+            replayButton.hidden = false;
+            downloadImageButton.hidden = false;
+            showResults(message); // The heatmap follows as a binary frame
+            break;
+        case 'rematchVotes':
+            updateRematchVotes(message.votes, message.needed);
             break;
         case 'error':
             console.error('Server error:', message.message);
@@ -118,23 +485,312 @@ function handleWebSocketMessage(message) {
     }
 }
 
+// Binary frames carry canvas data (layouts documented in functions/protocol.js)
+function handleBinaryMessage(buffer) {
+    const view = new DataView(buffer);
+    switch (view.getUint8(0)) {
+        case FRAME_TYPES.SNAPSHOT:
+            decodeSnapshot(view);
+            break;
+        case FRAME_TYPES.PIXEL_UPDATE:
+            decodePixelUpdate(view);
+            break;
+        case FRAME_TYPES.HEATMAP:
+            drawHeatmap(view);
+            break;
+        default:
+            console.warn('Unknown binary frame type:', view.getUint8(0));
+    }
+}
+
+function decodeSnapshot(view) {
+    const width = view.getUint16(1, true);
+    const height = view.getUint16(3, true);
+    if (!settings || width !== settings.canvasWidth || height !== settings.canvasHeight) {
+        console.error(`Snapshot is ${width}x${height}, expected ${settings?.canvasWidth}x${settings?.canvasHeight}`);
+        return;
+    }
+    const paletteLength = view.getUint8(5);
+    palette = [];
+    for (let i = 0; i < paletteLength; i++) {
+        const offset = 6 + i * 3;
+        palette.push([view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2)]);
+    }
+
+    const pixels = new Uint8Array(view.buffer, 6 + paletteLength * 3, width * height);
+    canvasIndexes.set(pixels);
+    pixels.forEach((colorIndex, i) => setPixel(i, colorIndex));
+    pendingPlacements.clear(); // Whatever we drew optimistically is replaced by the server's canvas
+    renderCanvas();
+    console.log('Canvas snapshot drawn.');
+}
+
+function decodePixelUpdate(view) {
+    const count = view.getUint16(1, true);
+    for (let i = 0; i < count; i++) {
+        const offset = 3 + i * 5;
+        const x = view.getUint16(offset, true);
+        const y = view.getUint16(offset + 2, true);
+        const index = y * settings.canvasWidth + x;
+        canvasIndexes[index] = view.getUint8(offset + 4);
+        setPixel(index, canvasIndexes[index]);
+    }
+    renderCanvas();
+}
+
 // --- Drawing Functions ---
-function drawPixel(x, y, color) {
-    ctx.fillStyle = color;
-    ctx.fillRect(x * PIXEL_SIZE, y * PIXEL_SIZE, PIXEL_SIZE, PIXEL_SIZE);
+// Writes one logical pixel into the offscreen ImageData; call renderCanvas() to show it.
+function setPixel(index, colorIndex) {
+    const [r, g, b] = palette[colorIndex] || [255, 255, 255]; // Default to white for unknown indexes
+    const offset = index * 4;
+    pixelImage.data[offset] = r;
+    pixelImage.data[offset + 1] = g;
+    pixelImage.data[offset + 2] = b;
+    pixelImage.data[offset + 3] = 255;
+}
+
+// Restore the server's color for a placement the server turned down.
+function rollbackPlacement(seq) {
+    const index = pendingPlacements.get(seq);
+    pendingPlacements.delete(seq);
+    if (index === undefined) return;
+    setPixel(index, canvasIndexes[index]);
+    renderCanvas();
+}
+
+function renderCanvas() {
+    pixelCtx.putImageData(pixelImage, 0, 0);
+    const scale = cellScale();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(pixelCanvas, -viewX * scale, -viewY * scale, pixelCanvas.width * scale, pixelCanvas.height * scale);
+    drawZones();
+    drawPowerUps();
+    drawToolPreview();
+    drawPlacementPreview();
+    drawMinimap();
+}
+
+// Power-ups are drawn a bit larger than a pixel so they can be spotted and clicked
+function drawPowerUps() {
+    const radius = Math.max(cellScale() / 2, 6);
+    ctx.font = `bold ${radius}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    powerUps.forEach(powerUp => {
+        const [cx, cy] = cellToCanvas(powerUp.x + 0.5, powerUp.y + 0.5);
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fillStyle = '#FFD700';
+        ctx.fill();
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#000';
+        ctx.stroke();
+        ctx.fillStyle = '#000';
+        ctx.fillText(POWER_UPS[powerUp.type]?.icon || '?', cx, cy);
+    });
 }
 
-function drawCanvas(canvasState) {
-    console.log('Drawing full canvas...');
-    for (let y = 0; y < CANVAS_HEIGHT; y++) {
-        for (let x = 0; x < CANVAS_WIDTH; x++) {
-            drawPixel(x, y, canvasState[y][x] || '#FFFFFF'); // Default to white if null/undefined
+// Cells the selected tool would paint if clicked now (mirrors toolCells in functions/powerups.js)
+function previewCells() {
+    if (!selectedTool || !hoverCell) return [];
+    const [x, y] = hoverCell;
+    if (selectedTool === 'bomb') {
+        const cells = [];
+        for (let cy = y - BOMB_RADIUS; cy <= y + BOMB_RADIUS; cy++) {
+            for (let cx = x - BOMB_RADIUS; cx <= x + BOMB_RADIUS; cx++) {
+                cells.push([cx, cy]);
+            }
         }
+        return cells;
+    }
+    if (!lineStart) return [hoverCell];
+    const [startX, startY] = lineStart;
+    const steps = Math.max(Math.abs(x - startX), Math.abs(y - startY));
+    const cells = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = steps === 0 ? 0 : i / steps;
+        cells.push([Math.round(startX + (x - startX) * t), Math.round(startY + (y - startY) * t)]);
     }
-    console.log('Canvas drawn.');
+    return cells;
+}
+
+function drawToolPreview() {
+    const scale = cellScale();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    previewCells().forEach(([x, y]) => {
+        ctx.fillRect(...cellToCanvas(x, y), scale, scale);
+    });
+}
+
+// Outline the cell a click (or Enter) would paint, with a hint of our color
+function drawPlacementPreview() {
+    if (!hoverCell || selectedTool || isSpectator || currentPhase !== 'playing') return;
+    const scale = cellScale();
+    const [x, y] = cellToCanvas(...hoverCell);
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = playerColor;
+    ctx.fillRect(x, y, scale, scale);
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#000';
+    ctx.strokeRect(x - 0.5, y - 0.5, scale + 1, scale + 1);
+}
+
+// The whole canvas in the corner with the visible part framed, shown while zoomed in
+function drawMinimap() {
+    minimapEl.hidden = zoom === 1;
+    if (minimapEl.hidden) return;
+    const scale = minimapEl.width / pixelCanvas.width;
+    minimapCtx.imageSmoothingEnabled = false;
+    minimapCtx.drawImage(pixelCanvas, 0, 0, minimapEl.width, minimapEl.height);
+    minimapCtx.lineWidth = 2;
+    minimapCtx.strokeStyle = '#F00';
+    minimapCtx.strokeRect(viewX * scale, viewY * scale,
+        pixelCanvas.width / zoom * scale, pixelCanvas.height / zoom * scale);
+}
+
+// Outline each capture zone in its holder's color (grey while nobody holds it)
+function drawZones() {
+    const scale = cellScale();
+    zones.forEach(zone => {
+        const [r, g, b] = zone.holder !== null && palette[zone.holder] ? palette[zone.holder] : [128, 128, 128];
+        const [x, y] = cellToCanvas(zone.x, zone.y);
+        const width = zone.width * scale;
+        const height = zone.height * scale;
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.15)`;
+        ctx.fillRect(x, y, width, height);
+        ctx.lineWidth = 3;
+        ctx.setLineDash(zone.holder === null ? [6, 4] : []);
+        ctx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.strokeRect(x + 1.5, y + 1.5, width - 3, height - 3);
+    });
+    ctx.setLineDash([]);
 }
 
 // --- UI Updates ---
+function setRoomCode(code) {
+    roomCode = code;
+    roomCodeEl.textContent = code || '----';
+    copyRoomLinkBtn.disabled = !code;
+    if (code) {
+        // Keep the address bar pointing at this room so it can be shared or reloaded.
+        // This also replaces ?room=new, so a reload doesn't create yet another room.
+        const url = new URL(window.location.href);
+        url.searchParams.set('room', code);
+        url.searchParams.delete('settings'); // Only valid together with ?room=new
+        window.history.replaceState(null, '', url);
+    }
+}
+
+function setSpectator(spectating) {
+    isSpectator = spectating;
+    document.body.classList.toggle('spectating', spectating); // Hides the .player-only UI
+}
+
+function updateSpectatorCount(count) {
+    spectatorCountEl.textContent = count ?? 0;
+}
+
+function setPhase(phase) {
+    currentPhase = phase;
+    readyPanelEl.hidden = phase !== 'readyCheck' && phase !== 'countdown';
+    botPanelEl.hidden = !canManageBots();
+    if (phase !== 'countdown') {
+        countdownOverlayEl.hidden = true;
+    }
+    if (phase !== 'results') {
+        resultsOverlayEl.hidden = true;
+        resultsButton.hidden = true;
+    }
+    if (phase === 'lobby') {
+        setReady(false);
+    }
+    if (phase !== 'playing' && selectedTool) {
+        selectTool(null);
+    }
+    renderColorPicker();
+    updateScores(lastScores, lastTeamScores); // Bot remove buttons come and go with the phase
+    // The results status is set by the gameOver message, which names the winner
+    if (phase !== 'results') {
+        statusEl.textContent = PHASE_STATUS[phase] || phase;
+    }
+    tickClock();
+}
+
+function syncClock(serverTime, endsAt) {
+    if (serverTime) {
+        clockOffset = serverTime - Date.now();
+    }
+    phaseEndsAt = endsAt ?? null;
+}
+
+// Runs several times a second: counts down to phaseEndsAt on our own clock
+// (corrected by clockOffset) instead of waiting for per-second server messages.
+function tickClock() {
+    const secondsLeft = phaseEndsAt === null
+        ? null
+        : Math.max(0, Math.ceil((phaseEndsAt - (Date.now() + clockOffset)) / 1000));
+
+    updateTimer(currentPhase === 'playing' ? secondsLeft : null);
+    if (currentPhase === 'countdown' && secondsLeft !== null) {
+        showCountdown(Math.max(1, secondsLeft));
+    }
+    updateEffects();
+}
+
+function updateEffects() {
+    const now = Date.now() + clockOffset;
+    effectsEl.textContent = Object.entries(effects)
+        .filter(([, until]) => until > now)
+        .map(([powerUp, until]) => `${POWER_UPS[powerUp]?.label || powerUp} ${Math.ceil((until - now) / 1000)}s`)
+        .join(', ');
+}
+
+function renderInventory() {
+    inventoryEl.innerHTML = '';
+    if (inventory.length === 0) {
+        inventoryEl.textContent = 'none';
+    }
+    inventory.forEach(powerUp => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'power-up';
+        button.textContent = POWER_UPS[powerUp]?.label || powerUp;
+        button.classList.toggle('selected', powerUp === selectedTool);
+        button.addEventListener('click', () => handlePowerUpClick(powerUp));
+        inventoryEl.appendChild(button);
+    });
+    if (selectedTool && !inventory.includes(selectedTool)) {
+        selectTool(null);
+    }
+}
+
+function selectTool(tool) {
+    selectedTool = tool;
+    lineStart = null;
+    canvas.classList.toggle('aiming', Boolean(tool));
+    renderInventory();
+    renderCanvas();
+}
+
+function setReady(ready) {
+    isReady = ready;
+    readyButton.textContent = ready ? 'Ready! (click to cancel)' : "I'm ready";
+    readyButton.classList.toggle('ready', ready);
+}
+
+function updateReadyState(readyState) {
+    if (!readyState) return;
+    const flags = Object.values(readyState);
+    readyCountEl.textContent = `${flags.filter(Boolean).length}/${flags.length} ready`;
+    setReady(Boolean(readyState[playerId]));
+}
+
+function showCountdown(secondsLeft) {
+    countdownOverlayEl.textContent = secondsLeft;
+    countdownOverlayEl.hidden = false;
+}
+
 function updateTimer(timeLeftSeconds) {
     if (timeLeftSeconds === null || timeLeftSeconds < 0) {
         timerEl.textContent = '--:--';
@@ -145,15 +801,154 @@ function updateTimer(timeLeftSeconds) {
     timerEl.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 }
 
-function updateScores(scores) {
+// players: [{ playerId, name, color, connected }] from the server
+function setRoster(players) {
+    if (!players) return;
+    roster = {};
+    players.forEach(({ playerId: id, ...entry }) => { roster[id] = entry; });
+    const own = roster[playerId];
+    if (own) {
+        playerName = own.name;
+        playerColor = own.color;
+        playerColorEl.style.backgroundColor = playerColor;
+    }
+    renderColorPicker();
+}
+
+function isTeamMode() {
+    return Boolean(settings && settings.teamCount > 0);
+}
+
+// Name as shown in the score lists: bots are marked, and so are we
+function displayName(id, entry) {
+    return `${entry.bot ? '🤖 ' : ''}${entry.name}${id === playerId ? ' (you)' : ''}`;
+}
+
+// Bots can be added and removed until the round starts (see handleAddBot in functions/gameroom.js)
+function canManageBots() {
+    return !isSpectator && (currentPhase === 'lobby' || currentPhase === 'readyCheck');
+}
+
+function handleAddBotClick() {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN) return;
+    const payload = botStrategyEl.value ? { strategy: botStrategyEl.value } : {};
+    webSocket.send(JSON.stringify({ type: 'addBot', payload }));
+}
+
+function handleRemoveBotClick(botId) {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN) return;
+    webSocket.send(JSON.stringify({ type: 'removeBot', payload: { playerId: botId } }));
+}
+
+function teamName(team) {
+    return `Team ${team + 1}`;
+}
+
+function describeResult(gameOver) {
+    if (!isTeamMode()) {
+        return `Winner: ${gameOver.winnerName || 'Draw'}`;
+    }
+    const result = gameOver.winningTeam === null ? 'Draw' : `${teamName(gameOver.winningTeam)} wins`;
+    return gameOver.mvpName ? `${result}, MVP: ${gameOver.mvpName}` : result;
+}
+
+// Colors (or teams, in team mode) can be swapped before the round starts;
+// colors other players use are disabled.
+function renderColorPicker() {
+    const canPick = !isSpectator && settings && (currentPhase === 'lobby' || currentPhase === 'readyCheck');
+    colorPickerPanelEl.hidden = !canPick;
+    if (!canPick) return;
+    if (isTeamMode()) {
+        renderTeamPicker();
+        return;
+    }
+    colorPickerLabelEl.textContent = 'Pick a color:';
+
+    const takenColors = Object.entries(roster)
+        .filter(([id]) => id !== playerId)
+        .map(([, entry]) => entry.color);
+    colorPickerEl.innerHTML = '';
+    settings.playerColors.forEach(color => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'color-choice';
+        button.style.backgroundColor = color;
+        button.title = color;
+        button.disabled = takenColors.includes(color);
+        button.classList.toggle('selected', color === playerColor);
+        button.addEventListener('click', () => handleColorPick(color));
+        colorPickerEl.appendChild(button);
+    });
+}
+
+// The server only lets players move to a team smaller than their own.
+function renderTeamPicker() {
+    colorPickerLabelEl.textContent = 'Pick a team:';
+    const sizes = new Array(settings.teamCount).fill(0);
+    Object.values(roster).forEach(entry => { if (entry.team !== null) sizes[entry.team]++; });
+    const ownTeam = roster[playerId]?.team ?? null;
+
+    colorPickerEl.innerHTML = '';
+    sizes.forEach((size, team) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'team-choice';
+        button.style.borderColor = settings.playerColors[team];
+        button.textContent = `${teamName(team)} (${size})`;
+        button.disabled = team !== ownTeam && ownTeam !== null && size >= sizes[ownTeam];
+        button.classList.toggle('selected', team === ownTeam);
+        button.addEventListener('click', () => handleTeamPick(team));
+        colorPickerEl.appendChild(button);
+    });
+}
+
+// Team mode: each team's color, score and members with what they painted.
+function renderTeamRosters() {
+    teamRostersEl.hidden = !isTeamMode();
+    if (!isTeamMode()) return;
+
+    teamRostersEl.innerHTML = '';
+    for (let team = 0; team < settings.teamCount; team++) {
+        const section = document.createElement('div');
+        section.className = 'team-roster';
+        section.style.borderColor = settings.playerColors[team];
+
+        const heading = document.createElement('h3');
+        heading.textContent = `${teamName(team)}: ${lastTeamScores[team] ?? 0}`;
+        heading.style.color = settings.playerColors[team];
+        section.appendChild(heading);
+
+        const list = document.createElement('ul');
+        Object.entries(roster)
+            .filter(([, entry]) => entry.team === team)
+            .sort(([a], [b]) => (lastScores[b] || 0) - (lastScores[a] || 0))
+            .forEach(([id, entry]) => {
+                const li = document.createElement('li');
+                li.textContent = `${displayName(id, entry)}: ${lastScores[id] || 0}`;
+                li.classList.toggle('disconnected', !entry.connected);
+                list.appendChild(li);
+            });
+        section.appendChild(list);
+        teamRostersEl.appendChild(section);
+    }
+}
+
+function updateScores(scores, teamScores = []) {
+    lastScores = scores || {};
+    lastTeamScores = teamScores || [];
+    renderTeamRosters();
     scoreListEl.innerHTML = ''; // Clear previous scores
     let playerScore = 0;
     // Sort scores descending for leaderboard
-    const sortedScores = Object.entries(scores).sort(([, a], [, b]) => b - a);
+    const sortedScores = Object.entries(lastScores).sort(([, a], [, b]) => b - a);
 
-    sortedScores.forEach(([color, score]) => {
+    sortedScores.forEach(([id, score]) => {
+        const entry = roster[id];
+        if (!entry) return; // Roster update still on its way
+        const color = entry.color;
         const li = document.createElement('li');
-        li.textContent = `Score: ${score}`;
+        li.textContent = `${displayName(id, entry)}: ${score}`;
+        li.classList.toggle('disconnected', !entry.connected);
         li.style.color = color; // Use player color for text
         li.style.fontWeight = 'bold';
         // Add a color swatch
@@ -166,77 +961,611 @@ function updateScores(scores) {
         swatch.style.marginRight = '8px';
         swatch.style.verticalAlign = 'middle';
         li.prepend(swatch); // Add swatch before text
+        if (entry.bot && canManageBots()) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'remove-bot';
+            remove.textContent = '×';
+            remove.title = `Remove ${entry.name}`;
+            remove.addEventListener('click', () => handleRemoveBotClick(id));
+            li.appendChild(remove);
+        }
         scoreListEl.appendChild(li);
 
-        if (color === playerColor) {
+        if (id === playerId) {
             playerScore = score;
         }
     });
     scoreEl.textContent = playerScore; // Update current player's score display
 }
 
+// --- Chat ---
+function addChatMessage(message) {
+    addChatLine(message, message.text);
+}
+
+// sender: { playerId, name, color }. Everything goes in as text, never as HTML.
+function addChatLine(sender, text) {
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'chat-sender';
+    name.textContent = `${sender.name}${sender.playerId === playerId ? ' (you)' : ''}: `;
+    name.style.color = sender.color;
+    li.append(name, text);
+
+    const atBottom = chatMessagesEl.scrollTop + chatMessagesEl.clientHeight >= chatMessagesEl.scrollHeight - 5;
+    chatMessagesEl.appendChild(li);
+    while (chatMessagesEl.children.length > CHAT_MAX_SHOWN) {
+        chatMessagesEl.firstChild.remove();
+    }
+    if (atBottom) {
+        chatMessagesEl.scrollTop = chatMessagesEl.scrollHeight; // Don't yank people reading older lines
+    }
+}
+
+function showEmotePopup(emote) {
+    const [x, y] = cellToCanvas(emote.x + 0.5, emote.y + 0.5);
+    if (x < 0 || x > canvas.width || y < 0 || y > canvas.height) return; // Outside the zoomed-in view
+    const popup = document.createElement('div');
+    popup.className = 'emote-popup';
+    popup.textContent = EMOTES[emote.emote] || emote.emote;
+    popup.title = emote.name;
+    popup.style.left = `${x / canvas.width * 100}%`;
+    popup.style.top = `${y / canvas.height * 100}%`;
+    popup.style.borderColor = emote.color;
+    canvasContainerEl.appendChild(popup);
+    setTimeout(() => popup.remove(), EMOTE_POPUP_MS);
+}
+
+function renderEmoteBar() {
+    Object.entries(EMOTES).forEach(([emote, symbol]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'emote-choice';
+        button.textContent = symbol;
+        button.title = `Send ${emote} (Alt+click the canvas to drop it there)`;
+        button.addEventListener('click', () => sendEmote(emote));
+        emoteBarEl.appendChild(button);
+    });
+}
+
+// cell: [x, y] to show the emote on the canvas, or null for the chat
+function sendEmote(emote, cell = null) {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN || isSpectator) return;
+    lastEmote = emote;
+    const payload = { emote };
+    if (cell) {
+        [payload.x, payload.y] = cell;
+    }
+    webSocket.send(JSON.stringify({ type: 'emote', payload }));
+}
+
+function handleChatSubmit(event) {
+    event.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text || !webSocket || webSocket.readyState !== WebSocket.OPEN || isSpectator) return;
+    webSocket.send(JSON.stringify({ type: 'chat', payload: { text } }));
+    chatInput.value = '';
+}
+
 function setCooldownState(active) {
     isOnCooldown = active;
+    clearTimeout(cooldownTimer);
     if (active) {
         cooldownEl.textContent = 'Waiting...';
         cooldownEl.classList.add('active');
-        // Set a timer to visually reset the cooldown indicator
-        setTimeout(() => {
-            // Only reset if it hasn't been reactivated in the meantime
-            if (Date.now() - lastPlacementTime >= COOLDOWN_TIME) {
-                 setCooldownState(false);
-            }
-        }, COOLDOWN_TIME - (Date.now() - lastPlacementTime)); // Adjust timer based on actual placement time
     } else {
         cooldownEl.textContent = 'Ready';
         cooldownEl.classList.remove('active');
     }
 }
 
+// The server says when our next placement is allowed, on its own clock.
+function setCooldownUntil(serverTime, nextAllowedAt) {
+    const remaining = nextAllowedAt - serverTime;
+    if (remaining <= 0) {
+        setCooldownState(false);
+        return;
+    }
+    setCooldownState(true);
+    cooldownTimer = setTimeout(() => setCooldownState(false), remaining);
+}
+
+// --- Results ---
+// Shown over the canvas when a round ends (see endGame in functions/gameroom.js),
+// with a rematch vote, until the room resets.
+
+function showResults(gameOver) {
+    resultsTitleEl.textContent = `Round ${gameOver.round}: ${describeResult(gameOver)}`;
+    resultsBodyEl.innerHTML = '';
+    const results = gameOver.results || {};
+    const nameOf = id => roster[id] ? displayName(id, roster[id]) : 'A player who left';
+    Object.keys(results)
+        .sort((a, b) => (gameOver.scores[b] || 0) - (gameOver.scores[a] || 0))
+        .forEach(id => {
+            const stats = results[id];
+            // The rival this player took the most pixels from
+            const [rival, taken] = Object.entries(stats.capturedFrom)
+                .reduce((best, entry) => entry[1] > best[1] ? entry : best, [null, 0]);
+            const row = document.createElement('tr');
+            [
+                nameOf(id),
+                gameOver.scores[id] || 0,
+                stats.peakScore,
+                stats.pixelsPlaced,
+                stats.pixelsCaptured,
+                rival ? `${nameOf(rival)} (${taken})` : '-',
+            ].forEach((text, column) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (column === 0) cell.style.borderLeft = `6px solid ${roster[id]?.color || '#ccc'}`;
+                row.appendChild(cell);
+            });
+            resultsBodyEl.appendChild(row);
+        });
+    updateRematchVotes({}, null);
+    resultsOverlayEl.hidden = false;
+    resultsButton.hidden = false;
+}
+
+// Heatmap frame: untouched pixels stay white, the more often a pixel changed
+// hands the further it goes from yellow to red.
+function drawHeatmap(view) {
+    const width = view.getUint16(1, true);
+    const height = view.getUint16(3, true);
+    const counts = new Uint8Array(view.buffer, 5, width * height);
+    const max = counts.reduce((highest, count) => Math.max(highest, count), 1);
+
+    heatmapCanvas.width = width;
+    heatmapCanvas.height = height;
+    const scale = HEATMAP_SIZE / Math.max(width, height);
+    heatmapCanvas.style.width = `${Math.round(width * scale)}px`;
+    heatmapCanvas.style.height = `${Math.round(height * scale)}px`;
+    const image = heatmapCtx.createImageData(width, height);
+    counts.forEach((count, i) => {
+        const heat = count / max;
+        image.data[i * 4] = 255;
+        image.data[i * 4 + 1] = count === 0 ? 255 : Math.round(230 * (1 - heat));
+        image.data[i * 4 + 2] = count === 0 ? 255 : 0;
+        image.data[i * 4 + 3] = 255;
+    });
+    heatmapCtx.putImageData(image, 0, 0);
+}
+
+// needed is null before anyone has voted
+function updateRematchVotes(votes, needed) {
+    const yes = Object.values(votes).filter(Boolean).length;
+    rematchCountEl.textContent = needed === null ? '' : `${yes}/${needed} votes for a rematch`;
+    rematchYesButton.classList.toggle('chosen', votes[playerId] === true);
+    rematchNoButton.classList.toggle('chosen', votes[playerId] === false);
+}
+
+function sendRematchVote(vote) {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN || isSpectator) return;
+    webSocket.send(JSON.stringify({ type: 'rematchVote', payload: { vote } }));
+}
+
+// --- Timelapse Replay ---
+// Plays back a finished round from its event log (GET /replay). Events are
+// [timestamp, playerId, x, y, oldColorIndex, newColorIndex] in placement order.
+
+async function openReplay(round) {
+    stopReplay();
+    replayPanelEl.hidden = false;
+    replayRoundEl.textContent = `(loading round ${round}...)`;
+    try {
+        const response = await fetch(`/replay?room=${encodeURIComponent(roomCode)}&round=${round}`);
+        const data = await response.json();
+        if (!response.ok) {
+            replayRoundEl.textContent = `- ${data.error || 'Replay unavailable.'}`;
+            return;
+        }
+        loadReplay(data);
+    } catch (error) {
+        console.error('Failed to load replay:', error);
+        replayRoundEl.textContent = '- Failed to load replay.';
+    }
+}
+
+function loadReplay(data) {
+    const replayPixelCanvas = document.createElement('canvas');
+    replayPixelCanvas.width = data.width;
+    replayPixelCanvas.height = data.height;
+    replay = {
+        width: data.width,
+        startedAt: data.startedAt,
+        duration: Math.max(0, data.endedAt - data.startedAt),
+        events: data.events,
+        palette: data.palette.map(hex => {
+            const value = parseInt(hex.slice(1), 16);
+            return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+        }),
+        pixelCanvas: replayPixelCanvas,
+        image: replayPixelCanvas.getContext('2d').createImageData(data.width, data.height),
+        eventIndex: 0,
+    };
+    replayCanvas.width = data.width * pixelSize;
+    replayCanvas.height = data.height * pixelSize;
+    replayScrubEl.max = replay.duration;
+    replayRoundEl.textContent = `(round ${data.round}${data.aborted ? ', aborted' : ''}, ${data.events.length} placements)`;
+    seekReplay(0);
+}
+
+// Moves playback to `time` ms into the round. Going forward applies the events in
+// between; going backward starts again from a blank canvas.
+function seekReplay(time) {
+    if (!replay) return;
+    replayTime = Math.min(Math.max(time, 0), replay.duration);
+
+    if (replay.eventIndex > 0 && replay.events[replay.eventIndex - 1][0] - replay.startedAt > replayTime) {
+        replay.eventIndex = 0;
+    }
+    if (replay.eventIndex === 0) {
+        const [r, g, b] = replay.palette[0];
+        for (let i = 0; i < replay.image.data.length; i += 4) {
+            replay.image.data.set([r, g, b, 255], i);
+        }
+    }
+    while (replay.eventIndex < replay.events.length &&
+           replay.events[replay.eventIndex][0] - replay.startedAt <= replayTime) {
+        const [, , x, y, , newColorIndex] = replay.events[replay.eventIndex];
+        const [r, g, b] = replay.palette[newColorIndex] || [255, 255, 255];
+        replay.image.data.set([r, g, b, 255], (y * replay.width + x) * 4);
+        replay.eventIndex++;
+    }
+
+    replay.pixelCanvas.getContext('2d').putImageData(replay.image, 0, 0);
+    replayCtx.imageSmoothingEnabled = false;
+    replayCtx.drawImage(replay.pixelCanvas, 0, 0, replayCanvas.width, replayCanvas.height);
+    replayScrubEl.value = replayTime;
+    replayTimeEl.textContent = `${formatDuration(replayTime)} / ${formatDuration(replay.duration)}`;
+}
+
+function replayFrame(timestamp) {
+    if (!replayPlaying) return;
+    if (replayLastFrame !== null) {
+        seekReplay(replayTime + (timestamp - replayLastFrame) * Number(replaySpeedEl.value));
+    }
+    replayLastFrame = timestamp;
+    if (replayTime >= replay.duration) {
+        stopReplay();
+        return;
+    }
+    requestAnimationFrame(replayFrame);
+}
+
+function startReplay() {
+    if (!replay) return;
+    if (replayTime >= replay.duration) seekReplay(0); // Play again from the start
+    replayPlaying = true;
+    replayLastFrame = null;
+    replayPlayButton.textContent = 'Pause';
+    requestAnimationFrame(replayFrame);
+}
+
+function stopReplay() {
+    replayPlaying = false;
+    replayPlayButton.textContent = 'Play';
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
 // --- Event Handlers ---
+function handleReplayButtonClick() {
+    if (roomCode && lastFinishedRound) {
+        openReplay(lastFinishedRound);
+    }
+}
+
+// Saves the finished round's canvas as a PNG (rendered by the /snapshot route)
+function handleDownloadImageClick() {
+    if (!roomCode || !lastFinishedRound) return;
+    const link = document.createElement('a');
+    link.href = `/snapshot?room=${encodeURIComponent(roomCode)}&round=${lastFinishedRound}&scale=${pixelSize}`;
+    link.download = `canvas-${roomCode}-round${lastFinishedRound}.png`;
+    link.click();
+}
+
+function handleReplayPlayClick() {
+    if (replayPlaying) {
+        stopReplay();
+    } else {
+        startReplay();
+    }
+}
+
+function handleReplayScrub() {
+    seekReplay(Number(replayScrubEl.value));
+}
+
+function handleReplayClose() {
+    stopReplay();
+    replay = null;
+    replayPanelEl.hidden = true;
+}
+
+function handleReadyClick() {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN) return;
+    webSocket.send(JSON.stringify({ type: 'ready', payload: { ready: !isReady } }));
+}
+
+function handleTeamPick(team) {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN || team === roster[playerId]?.team) return;
+    webSocket.send(JSON.stringify({ type: 'switchTeam', payload: { team } }));
+}
+
+function handleColorPick(color) {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN || color === playerColor) return;
+    webSocket.send(JSON.stringify({ type: 'pickColor', payload: { color } }));
+}
+
+// Remembered for next time; if we're in a room, rename right away.
+// The room checks the name and tells us (with an 'error') if it's invalid or taken.
+function handleNicknameChange() {
+    const name = nicknameInput.value.trim().replace(/\s+/g, ' ');
+    if (!name) return;
+    localStorage.setItem(NICKNAME_STORAGE_KEY, name);
+    if (webSocket && webSocket.readyState === WebSocket.OPEN && !isSpectator) {
+        webSocket.send(JSON.stringify({ type: 'setName', payload: { name } }));
+    }
+}
+
+function handleNicknameKeydown(event) {
+    if (event.key === 'Enter') {
+        handleNicknameChange();
+    }
+}
+
+function handleCopyRoomLink() {
+    if (!roomCode) return;
+    const link = `${window.location.origin}/?room=${roomCode}`;
+    navigator.clipboard.writeText(link)
+        .then(() => { copyRoomLinkBtn.textContent = 'Copied!'; })
+        .catch(() => { window.prompt('Copy this invite link:', link); });
+}
+
+// Tools are aimed on the canvas; effects start right away.
+function handlePowerUpClick(powerUp) {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN || currentPhase !== 'playing') return;
+    if (POWER_UPS[powerUp]?.tool) {
+        selectTool(selectedTool === powerUp ? null : powerUp);
+        if (selectedTool === 'line') {
+            statusEl.textContent = 'Line: click where it starts.';
+        }
+        return;
+    }
+    webSocket.send(JSON.stringify({ type: 'usePowerUp', payload: { powerUp } }));
+}
+
+function handleToolClick(x, y) {
+    if (selectedTool === 'line' && !lineStart) {
+        lineStart = [x, y];
+        statusEl.textContent = 'Line: click where it ends.';
+        return;
+    }
+    const payload = { powerUp: selectedTool, x, y };
+    if (selectedTool === 'line') {
+        [payload.x, payload.y] = lineStart;
+        payload.toX = x;
+        payload.toY = y;
+    }
+    webSocket.send(JSON.stringify({ type: 'usePowerUp', payload }));
+    setCooldownState(true); // Until powerUpUsed / powerUpRejected
+}
+
+// Logical pixel under a mouse or pointer event, at the current zoom, or null outside the canvas
+function eventToCell(event) {
+    if (!settings) return null;
+    const [x, y] = clientToCanvas(event.clientX, event.clientY);
+    const pixelX = Math.floor(viewX + x / cellScale());
+    const pixelY = Math.floor(viewY + y / cellScale());
+    if (pixelX < 0 || pixelX >= settings.canvasWidth || pixelY < 0 || pixelY >= settings.canvasHeight) {
+        return null;
+    }
+    return [pixelX, pixelY];
+}
+
+function setHoverCell(cell) {
+    const changed = cell?.[0] !== hoverCell?.[0] || cell?.[1] !== hoverCell?.[1];
+    hoverCell = cell;
+    if (changed && pixelImage) renderCanvas();
+}
+
+function handleCanvasMouseMove(event) {
+    setHoverCell(eventToCell(event));
+}
+
+function handleCanvasMouseLeave() {
+    setHoverCell(null);
+}
+
+function handleCanvasWheel(event) {
+    event.preventDefault(); // Zoom the canvas, not the page
+    const delta = event.deltaMode === WheelEvent.DOM_DELTA_LINE ? event.deltaY * 40 : event.deltaY;
+    zoomAt(Math.exp(-delta * WHEEL_ZOOM_SPEED), ...clientToCanvas(event.clientX, event.clientY));
+}
+
+// One finger or the left button drags the view; two fingers pinch-zoom. A press
+// that doesn't move goes on to the 'click' handler like before.
+function handleCanvasPointerDown(event) {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    canvas.setPointerCapture(event.pointerId);
+    activePointers.set(event.pointerId, clientToCanvas(event.clientX, event.clientY));
+    if (activePointers.size === 1) {
+        suppressClick = false;
+        startDrag(activePointers.get(event.pointerId));
+    } else if (activePointers.size === 2) {
+        suppressClick = true;
+        pinch = pinchOf([...activePointers.values()]);
+    }
+}
+
+function handleCanvasPointerMove(event) {
+    if (!activePointers.has(event.pointerId)) return; // Plain hovering, see handleCanvasMouseMove
+    const point = clientToCanvas(event.clientX, event.clientY);
+    activePointers.set(event.pointerId, point);
+
+    if (activePointers.size >= 2 && pinch) {
+        // Pan along with the fingers' midpoint, then zoom around it as they spread
+        const next = pinchOf([...activePointers.values()]);
+        const factor = pinch.distance ? next.distance / pinch.distance : 1;
+        viewX -= (next.center[0] - pinch.center[0]) / cellScale();
+        viewY -= (next.center[1] - pinch.center[1]) / cellScale();
+        pinch = next;
+        zoomAt(factor, ...next.center);
+        return;
+    }
+    if (!dragStart) return;
+    const dx = point[0] - dragStart.point[0];
+    const dy = point[1] - dragStart.point[1];
+    if (!suppressClick && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    suppressClick = true; // A pan, not a click
+    canvas.classList.add('panning');
+    viewX = dragStart.viewX - dx / cellScale();
+    viewY = dragStart.viewY - dy / cellScale();
+    clampView();
+    renderCanvas();
+}
+
+function handleCanvasPointerUp(event) {
+    activePointers.delete(event.pointerId);
+    pinch = null;
+    if (activePointers.size === 1) {
+        startDrag([...activePointers.values()][0]); // The finger left keeps panning from here
+    } else if (activePointers.size === 0) {
+        dragStart = null;
+        canvas.classList.remove('panning');
+    }
+}
+
+function startDrag(point) {
+    dragStart = { point, viewX, viewY };
+}
+
+function pinchOf([a, b]) {
+    return { center: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2], distance: Math.hypot(a[0] - b[0], a[1] - b[1]) };
+}
+
+// Click or drag on the minimap to look at that part of the canvas
+function handleMinimapPointer(event) {
+    if (event.type === 'pointerdown') {
+        minimapEl.setPointerCapture(event.pointerId);
+    } else if (!event.buttons) {
+        return;
+    }
+    const rect = minimapEl.getBoundingClientRect();
+    centerViewOn((event.clientX - rect.left) / rect.width * settings.canvasWidth,
+        (event.clientY - rect.top) / rect.height * settings.canvasHeight);
+}
+
+// With the canvas focused: arrow keys move the cursor (Shift: 10 pixels), Enter or
+// Space acts on it like a click, + and - zoom around it and 0 shows the whole canvas.
+function handleCanvasKeydown(event) {
+    if (!settings) return;
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const cursor = hoverCell || [
+        Math.floor(viewX + settings.canvasWidth / zoom / 2),
+        Math.floor(viewY + settings.canvasHeight / zoom / 2),
+    ];
+
+    if (moves[event.key]) {
+        const step = event.shiftKey ? 10 : 1;
+        const x = Math.min(Math.max(cursor[0] + moves[event.key][0] * step, 0), settings.canvasWidth - 1);
+        const y = Math.min(Math.max(cursor[1] + moves[event.key][1] * step, 0), settings.canvasHeight - 1);
+        scrollCellIntoView(x, y);
+        hoverCell = [x, y];
+        renderCanvas();
+    } else if (event.key === 'Enter' || event.key === ' ') {
+        hoverCell = cursor;
+        placeAtCell(cursor);
+    } else if (event.key === '+' || event.key === '=' || event.key === '-') {
+        zoomAt(event.key === '-' ? 1 / KEY_ZOOM_STEP : KEY_ZOOM_STEP, ...cellToCanvas(cursor[0] + 0.5, cursor[1] + 0.5));
+    } else if (event.key === '0') {
+        resetView();
+    } else {
+        return;
+    }
+    event.preventDefault(); // Don't scroll the page
+}
+
+function handleKeydown(event) {
+    if (event.key === 'Escape' && selectedTool) {
+        selectTool(null);
+    }
+}
+
 function handleCanvasClick(event) {
+    if (suppressClick) {
+        suppressClick = false; // The end of a pan or pinch
+        return;
+    }
+
+    const cell = eventToCell(event);
+    if (!cell) {
+        console.warn('Clicked outside canvas boundaries.');
+        return;
+    }
+
+    if (event.altKey) {
+        sendEmote(lastEmote, cell);
+        return;
+    }
+    placeAtCell(cell);
+}
+
+// Paints the logical pixel [pixelX, pixelY], or aims the selected tool there
+function placeAtCell([pixelX, pixelY]) {
     if (!webSocket || webSocket.readyState !== WebSocket.OPEN) {
         console.warn('WebSocket not connected. Cannot place pixel.');
         statusEl.textContent = 'Error: Not connected!';
         return;
     }
 
+    if (isSpectator) {
+        return; // Watching only
+    }
+
+    if (currentPhase !== 'playing') {
+        console.log('Round not in progress. Cannot place pixel.');
+        return;
+    }
+
     if (isOnCooldown) {
         console.log('Cooldown active. Cannot place pixel yet.');
         return;
     }
 
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-
-    const canvasX = (event.clientX - rect.left) * scaleX;
-    const canvasY = (event.clientY - rect.top) * scaleY;
-
-    const pixelX = Math.floor(canvasX / PIXEL_SIZE);
-    const pixelY = Math.floor(canvasY / PIXEL_SIZE);
-
-    // Basic boundary check
-    if (pixelX < 0 || pixelX >= CANVAS_WIDTH || pixelY < 0 || pixelY >= CANVAS_HEIGHT) {
-        console.warn('Clicked outside canvas boundaries.');
+    if (selectedTool) {
+        handleToolClick(pixelX, pixelY);
         return;
     }
 
     console.log(`Attempting to place pixel at [${pixelX}, ${pixelY}] with color ${playerColor}`);
 
+    // Draw it right away; rollbackPlacement() undoes it if the server says no.
+    // Palette index 0 is the blank color, player colors follow in settings order.
+    const index = pixelY * settings.canvasWidth + pixelX;
+    const seq = ++placementSeq;
+    pendingPlacements.set(seq, index);
+    setPixel(index, settings.playerColors.indexOf(playerColor) + 1);
+    renderCanvas();
+
     // Send pixel placement request to the server (Durable Object)
     const message = {
         type: 'placePixel',
         payload: {
             x: pixelX,
             y: pixelY,
+            seq,
             // Color is implicitly the player's assigned color, managed server-side
         }
     };
     webSocket.send(JSON.stringify(message));
 
-    // Start cooldown
-    lastPlacementTime = Date.now();
+    // No more clicks until the server answers with our real cooldown
     setCooldownState(true);
 }
 
@@ -248,6 +1577,40 @@ function init() {
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
     canvas.addEventListener('click', handleCanvasClick);
+    canvas.addEventListener('mousemove', handleCanvasMouseMove);
+    canvas.addEventListener('mouseleave', handleCanvasMouseLeave);
+    canvas.addEventListener('wheel', handleCanvasWheel, { passive: false });
+    canvas.addEventListener('pointerdown', handleCanvasPointerDown);
+    canvas.addEventListener('pointermove', handleCanvasPointerMove);
+    canvas.addEventListener('pointerup', handleCanvasPointerUp);
+    canvas.addEventListener('pointercancel', handleCanvasPointerUp);
+    canvas.addEventListener('keydown', handleCanvasKeydown);
+    minimapEl.addEventListener('pointerdown', handleMinimapPointer);
+    minimapEl.addEventListener('pointermove', handleMinimapPointer);
+    zoomInButton.addEventListener('click', () => zoomAt(KEY_ZOOM_STEP));
+    zoomOutButton.addEventListener('click', () => zoomAt(1 / KEY_ZOOM_STEP));
+    zoomResetButton.addEventListener('click', resetView);
+    document.addEventListener('keydown', handleKeydown);
+    chatForm.addEventListener('submit', handleChatSubmit);
+    chatInput.maxLength = 200; // MAX_CHAT_LENGTH in functions/validation.js
+    renderEmoteBar();
+    copyRoomLinkBtn.addEventListener('click', handleCopyRoomLink);
+    readyButton.addEventListener('click', handleReadyClick);
+    addBotButton.addEventListener('click', handleAddBotClick);
+    nicknameInput.maxLength = NICKNAME_MAX_LENGTH;
+    nicknameInput.value = localStorage.getItem(NICKNAME_STORAGE_KEY) || '';
+    nicknameButton.addEventListener('click', handleNicknameChange);
+    nicknameInput.addEventListener('keydown', handleNicknameKeydown);
+    replayButton.addEventListener('click', handleReplayButtonClick);
+    downloadImageButton.addEventListener('click', handleDownloadImageClick);
+    replayPlayButton.addEventListener('click', handleReplayPlayClick);
+    replayScrubEl.addEventListener('input', handleReplayScrub);
+    replayCloseButton.addEventListener('click', handleReplayClose);
+    resultsButton.addEventListener('click', () => { resultsOverlayEl.hidden = false; });
+    resultsCloseButton.addEventListener('click', () => { resultsOverlayEl.hidden = true; });
+    rematchYesButton.addEventListener('click', () => sendRematchVote(true));
+    rematchNoButton.addEventListener('click', () => sendRematchVote(false));
+    setInterval(tickClock, 250);
     connectWebSocket();
 }
 
@@ -0,0 +1,124 @@
+// functions/admin.js
+
+import { getLobbyStub, normalizeRoomCode, isValidRoomCode } from './lobby.js';
+import { jsonResponse } from './http.js';
+
+// Moderation API. Every request needs the ADMIN_SECRET secret as a bearer token:
+//   Authorization: Bearer <ADMIN_SECRET>
+// GET  /admin            every room the lobby knows, with its phase and players
+// GET  /admin?room=ABCD  one room in detail: settings, sessions (with addresses) and bans
+// POST /admin?room=ABCD  JSON body { action, ... } with action one of:
+//   kick { playerId }           remove a player now, without holding their slot
+//   ban { playerId }            kick and refuse the player (and their address) from then on
+//   unban { playerId }
+//   addBot { strategy? }        add a bot before the round starts (see functions/bots.js)
+//   startGame, endGame          force the round to start or end
+//   resetRound                  wipe canvas and scores and go back to the lobby
+//   resetCanvas                 blank the whole canvas, keeping the round going
+//   wipeRegion { x, y, width, height }  blank a rectangle of the canvas
+
+const encoder = new TextEncoder();
+
+export async function onRequestGet(context) {
+    const { request, env } = context;
+    const denied = await checkAdminSecret(request, env);
+    if (denied) return denied;
+
+    const room = new URL(request.url).searchParams.get('room');
+    try {
+        if (room !== null) {
+            const roomCode = normalizeRoomCode(room);
+            if (!isValidRoomCode(roomCode)) {
+                return jsonResponse({ error: 'A valid room code is required.' }, 400);
+            }
+            return await getRoomStub(env, roomCode).fetch('https://room/internal/do/admin');
+        }
+
+        const lobbyResponse = await getLobbyStub(env).fetch('https://lobby/internal/lobby/rooms');
+        const { rooms } = await lobbyResponse.json();
+        // A room that can't answer is listed as unavailable, so the other rooms still show
+        const details = await Promise.all(rooms.map(async entry => {
+            try {
+                const response = await getRoomStub(env, entry.code).fetch('https://room/internal/do/admin');
+                const state = await response.json();
+                if (!response.ok) {
+                    return { ...entry, error: state.error || `Room unavailable (${response.status}).` };
+                }
+                return {
+                    ...entry,
+                    phase: state.phase,
+                    round: state.round,
+                    endsAt: state.endsAt,
+                    connected: state.players.filter(p => p.connected).length,
+                    spectators: state.spectators,
+                };
+            } catch (error) {
+                console.error(`Error loading room ${entry.code} in /admin:`, error);
+                return { ...entry, error: 'Room unavailable.' };
+            }
+        }));
+        return jsonResponse({ rooms: details, serverTime: Date.now() });
+    } catch (error) {
+        console.error('Error in /admin function:', error);
+        return jsonResponse({ error: 'Failed to load rooms.' }, 500);
+    }
+}
+
+export async function onRequestPost(context) {
+    const { request, env } = context;
+    const denied = await checkAdminSecret(request, env);
+    if (denied) return denied;
+
+    const roomCode = normalizeRoomCode(new URL(request.url).searchParams.get('room'));
+    if (!isValidRoomCode(roomCode)) {
+        return jsonResponse({ error: 'A valid room code is required.' }, 400);
+    }
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Body must be JSON.' }, 400);
+    }
+    if (typeof body !== 'object' || body === null || typeof body.action !== 'string') {
+        return jsonResponse({ error: 'An action is required.' }, 400);
+    }
+
+    try {
+        console.log(`Admin: ${body.action} in room ${roomCode}.`);
+        return await getRoomStub(env, roomCode).fetch('https://room/internal/do/admin', {
+            method: 'POST',
+            body: JSON.stringify(body),
+        });
+    } catch (error) {
+        console.error('Error in /admin function:', error);
+        return jsonResponse({ error: 'Failed to reach the room.' }, 500);
+    }
+}
+
+function getRoomStub(env, roomCode) {
+    return env.GAME_ROOM.get(env.GAME_ROOM.idFromName(roomCode));
+}
+
+// Returns an error response unless the request carries the admin secret.
+// Without ADMIN_SECRET configured the whole API stays off.
+async function checkAdminSecret(request, env) {
+    if (!env.ADMIN_SECRET) {
+        console.warn('ADMIN_SECRET is not set; the admin API is disabled.');
+        return jsonResponse({ error: 'The admin API is disabled.' }, 503);
+    }
+    const header = request.headers.get('Authorization') || '';
+    const given = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+    if (!(await secretsMatch(given, env.ADMIN_SECRET))) {
+        return jsonResponse({ error: 'Unauthorized.' }, 401, { 'WWW-Authenticate': 'Bearer' });
+    }
+    return null;
+}
+
+// Compares hashes in constant time, so response times don't reveal how much of the secret matched.
+async function secretsMatch(given, secret) {
+    const [a, b] = await Promise.all([given, secret].map(async text =>
+        new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(text)))));
+    let difference = 0;
+    a.forEach((byte, i) => { difference |= byte ^ b[i]; });
+    return difference === 0;
+}
@@ -0,0 +1,95 @@
+// functions/bots.js
+
+// Bot players for practice and for filling rooms. GameRoom keeps a bot as a session
+// without a socket (session.bot holds its strategy name) and moves it from the room's
+// alarm, under the same cooldown as everyone else (see runBots). Each strategy picks
+// the next pixel to paint: pickCell(room, colorIndex) returns [x, y] or null.
+
+// --- Constants ---
+export const BOT_NAMES = ['Ada', 'Babbage', 'Turing', 'Hopper', 'Lovelace', 'Knuth', 'Dijkstra', 'Liskov'];
+const BOT_MIN_REACTION_MS = 300; // Bots wait a random time in this range once their cooldown ends,
+const BOT_MAX_REACTION_MS = 1500; // so they don't all move in lockstep
+
+// When a bot whose cooldown ends at cooldownEndsAt makes its next move
+export function nextBotMoveAt(cooldownEndsAt) {
+    return cooldownEndsAt + BOT_MIN_REACTION_MS + Math.random() * (BOT_MAX_REACTION_MS - BOT_MIN_REACTION_MS);
+}
+
+// One cell matching accept(index), uniformly at random, in a single pass over the
+// canvas (reservoir sampling). Returns [x, y] or null if nothing matches.
+function randomCellWhere(room, accept) {
+    let picked = null;
+    let matches = 0;
+    for (let i = 0; i < room.canvas.length; i++) {
+        if (!accept(i)) continue;
+        matches++;
+        if (Math.random() * matches < 1) picked = i;
+    }
+    return picked === null ? null : [picked % room.settings.canvasWidth, Math.floor(picked / room.settings.canvasWidth)];
+}
+
+// True if a 4-neighbour of canvas index i has colorIndex
+function touches(room, i, colorIndex) {
+    const width = room.settings.canvasWidth;
+    const x = i % width;
+    return (x > 0 && room.canvas[i - 1] === colorIndex) ||
+        (x < width - 1 && room.canvas[i + 1] === colorIndex) ||
+        room.canvas[i - width] === colorIndex ||
+        room.canvas[i + width] === colorIndex;
+}
+
+// Cells a bot painting with colorIndex could take: not its own, not shielded
+function paintableFilter(room, colorIndex) {
+    const now = Date.now();
+    const shielded = new Set(room.palette.map((_, i) => i).filter(i => room.isShielded(i, now)));
+    return i => room.canvas[i] !== colorIndex && !shielded.has(room.canvas[i]);
+}
+
+// Palette index of the color with the most points other than colorIndex, or null
+function leaderColorIndex(room, colorIndex) {
+    const points = room.pointsTable();
+    let leader = null;
+    let best = 0;
+    for (let i = 1; i < room.palette.length; i++) {
+        const competitor = room.competitorFor(i);
+        if (i === colorIndex || competitor === null) continue;
+        if ((points[competitor] || 0) > best) {
+            best = points[competitor];
+            leader = i;
+        }
+    }
+    return leader;
+}
+
+function expand(room, colorIndex) {
+    const paintable = paintableFilter(room, colorIndex);
+    return randomCellWhere(room, i => paintable(i) && touches(room, i, colorIndex)) ||
+        randomCellWhere(room, paintable); // Nothing painted yet (or boxed in): start somewhere
+}
+
+export const BOT_STRATEGIES = {
+    // Paints anywhere
+    random: {
+        pickCell: (room, colorIndex) => randomCellWhere(room, paintableFilter(room, colorIndex)),
+    },
+
+    // Grows its own territory outwards
+    expand: {
+        pickCell: expand,
+    },
+
+    // Paints over whoever is ahead, starting where they border the bot's own pixels
+    attack: {
+        pickCell(room, colorIndex) {
+            const target = leaderColorIndex(room, colorIndex);
+            if (target === null) return expand(room, colorIndex);
+            const paintable = paintableFilter(room, colorIndex);
+            const isTarget = i => room.canvas[i] === target && paintable(i);
+            return randomCellWhere(room, i => isTarget(i) && touches(room, i, colorIndex)) ||
+                randomCellWhere(room, isTarget) ||
+                expand(room, colorIndex);
+        },
+    },
+};
+
+export const BOT_STRATEGY_NAMES = Object.keys(BOT_STRATEGIES);
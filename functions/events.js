@@ -0,0 +1,33 @@
+// functions/events.js
+
+import { normalizeRoomCode, isValidRoomCode } from './lobby.js';
+import { jsonResponse, CORS_HEADERS } from './http.js';
+
+// This function handles GET requests to the /events path.
+// A Server-Sent Events stream of a room, for dashboards, stream overlays and chat
+// bots that follow a game without taking a player slot:
+//   const events = new EventSource('/events?room=ABCD');
+//   events.addEventListener('pixelUpdate', e => console.log(JSON.parse(e.data).pixels));
+// Event types and their data are listed at handleEventsRequest in functions/gameroom.js.
+// Query parameters:
+//   ?room=ABCD  room code (required)
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const requestUrl = new URL(request.url);
+    const roomCode = normalizeRoomCode(requestUrl.searchParams.get('room'));
+    if (!isValidRoomCode(roomCode)) {
+        return jsonResponse({ error: 'A valid room code is required.' }, 400, CORS_HEADERS);
+    }
+
+    try {
+        const roomStub = env.GAME_ROOM.get(env.GAME_ROOM.idFromName(roomCode));
+        const url = new URL(request.url);
+        url.pathname = '/internal/do/events';
+        url.search = '';
+        return await roomStub.fetch(url.toString()); // The room's streaming response is passed straight through
+    } catch (error) {
+        console.error('Error in /events function:', error);
+        return jsonResponse({ error: 'Failed to open the event stream.' }, 500, CORS_HEADERS);
+    }
+}
@@ -0,0 +1,151 @@
+// functions/gamemodes.js
+
+import { BLANK_COLOR_INDEX } from './settings.js';
+
+// Win conditions a room can be created with (settings.gameMode). Each mode is a set
+// of optional hooks GameRoom calls during a round:
+//   objective(settings)        text shown to players
+//   onRoundStart(room, now)    when the round starts playing
+//   onPlace(room, oldColorIndex, newColorIndex)  after every accepted placement
+//   onFlush(room)              after a batch of placements is applied (see flushPixelUpdates)
+//   tickMs, onTick(room, now)  called every tickMs while playing, from the room's alarm
+//   isWon(room)                true ends the round right away
+// Points go through room.addPoints/setPoints, which credit the player (or team, in
+// team mode) painting with a palette index. The round's winner is whoever has the
+// most points when it ends, whatever the mode.
+
+// --- Constants ---
+const ZONE_COUNT = 3; // Capture zones on the canvas at once
+const ZONE_LIFETIME_MS = 30 * 1000; // A zone moves somewhere else after this long
+const ZONE_TICK_MS = 1000;
+const ZONE_POINTS_PER_TICK = 1; // Paid every tick to the holder of each zone
+const MIN_ZONE_SIZE = 4;
+
+// Classic scoring: a point for every pixel held.
+function scorePixel(room, oldColorIndex, newColorIndex) {
+    room.addPoints(oldColorIndex, -1);
+    room.addPoints(newColorIndex, 1);
+}
+
+// Size of the largest 4-connected area of every color on the canvas: Map(colorIndex -> pixels)
+export function largestRegions(canvas, width) {
+    const largest = new Map();
+    const seen = new Uint8Array(canvas.length);
+    const stack = new Int32Array(canvas.length);
+    for (let start = 0; start < canvas.length; start++) {
+        const colorIndex = canvas[start];
+        if (colorIndex === BLANK_COLOR_INDEX || seen[start]) continue;
+
+        let size = 0;
+        let top = 0;
+        stack[top++] = start;
+        seen[start] = 1;
+        while (top > 0) {
+            const i = stack[--top];
+            size++;
+            const x = i % width;
+            const neighbours = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+            for (const n of neighbours) {
+                if (n >= 0 && n < canvas.length && !seen[n] && canvas[n] === colorIndex) {
+                    seen[n] = 1;
+                    stack[top++] = n;
+                }
+            }
+        }
+        if (size > (largest.get(colorIndex) || 0)) largest.set(colorIndex, size);
+    }
+    return largest;
+}
+
+function zoneSize(settings) {
+    return Math.max(MIN_ZONE_SIZE, Math.round(Math.min(settings.canvasWidth, settings.canvasHeight) / 6));
+}
+
+function createZone(settings, endsAt) {
+    const size = zoneSize(settings);
+    return {
+        x: Math.floor(Math.random() * (settings.canvasWidth - size + 1)),
+        y: Math.floor(Math.random() * (settings.canvasHeight - size + 1)),
+        width: size,
+        height: size,
+        endsAt,
+        holder: null, // Palette index of the color holding the zone
+    };
+}
+
+// The color with the most pixels inside a zone, or null if none or tied.
+function zoneHolder(room, zone) {
+    const counts = new Map();
+    for (let y = zone.y; y < zone.y + zone.height; y++) {
+        for (let x = zone.x; x < zone.x + zone.width; x++) {
+            const colorIndex = room.canvas[y * room.settings.canvasWidth + x];
+            if (colorIndex !== BLANK_COLOR_INDEX) counts.set(colorIndex, (counts.get(colorIndex) || 0) + 1);
+        }
+    }
+    let holder = null;
+    let best = 0;
+    counts.forEach((count, colorIndex) => {
+        if (count > best) {
+            best = count;
+            holder = colorIndex;
+        } else if (count === best) {
+            holder = null;
+        }
+    });
+    return holder;
+}
+
+// Pixels needed to win a race round
+function raceTarget(settings) {
+    return Math.ceil(settings.canvasWidth * settings.canvasHeight * settings.targetPercent / 100);
+}
+
+export const GAME_MODES = {
+    classic: {
+        objective: () => 'Hold the most pixels when time runs out.',
+        onPlace: scorePixel,
+    },
+
+    // Only the biggest connected area of each color counts.
+    territory: {
+        objective: () => 'Grow the largest connected area of your color.',
+        onFlush(room) {
+            const largest = largestRegions(room.canvas, room.settings.canvasWidth);
+            for (let colorIndex = 1; colorIndex < room.palette.length; colorIndex++) {
+                room.setPoints(colorIndex, largest.get(colorIndex) || 0);
+            }
+        },
+    },
+
+    // Painting scores nothing by itself: zones pay whoever holds them, every second.
+    zones: {
+        objective: () => `Hold the capture zones: each pays ${ZONE_POINTS_PER_TICK} point per second to the color with the most pixels in it.`,
+        tickMs: ZONE_TICK_MS,
+        onRoundStart(room, now) {
+            // Staggered, so the zones don't all move at once
+            room.zones = Array.from({ length: ZONE_COUNT },
+                (_, i) => createZone(room.settings, now + ZONE_LIFETIME_MS * (i + 1) / ZONE_COUNT));
+        },
+        onTick(room, now) {
+            room.zones = room.zones.map(zone => {
+                const holder = zoneHolder(room, zone);
+                room.addPoints(holder, ZONE_POINTS_PER_TICK);
+                return zone.endsAt <= now ? createZone(room.settings, now + ZONE_LIFETIME_MS) : { ...zone, holder };
+            });
+        },
+    },
+
+    // Classic scoring, but the round ends as soon as someone covers targetPercent of the canvas.
+    race: {
+        objective: settings => `First to cover ${settings.targetPercent}% of the canvas wins.`,
+        onPlace: scorePixel,
+        isWon(room) {
+            const target = raceTarget(room.settings);
+            return room.competitorScores().some(score => score >= target);
+        },
+    },
+};
+
+export function getGameMode(name) {
+    return GAME_MODES[name] || GAME_MODES.classic; // Rooms from before game modes play classic
+}
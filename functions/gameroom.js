@@ -1,31 +1,155 @@
 // functions/gameroom.mjs
 
+import { getLobbyStub } from './lobby.js';
+import { getStatsStub } from './stats.js';
+import { createPlayerToken } from './token.js';
+import { encodeSnapshot, encodePixelUpdate, encodeHeatmap, MAX_PIXELS_PER_FRAME } from './protocol.js';
+import { jsonResponse, CORS_HEADERS } from './http.js';
+import { DEFAULT_SETTINGS, BLANK_COLOR_INDEX, paletteFor, parseSettingsParam } from './settings.js';
+import { parseClientMessage, validateNickname, validateChatText, messageBytes, MAX_MESSAGE_BYTES, NICKNAME_MAX_LENGTH } from './validation.js';
+import { TokenBucket } from './ratelimit.js';
+import { getGameMode } from './gamemodes.js';
+import { POWER_UPS, POWER_UP_SPAWN_MS, MAX_POWER_UPS_ON_CANVAS, MAX_INVENTORY, spawnPowerUp, toolCells } from './powerups.js';
+import { BOT_STRATEGIES, BOT_STRATEGY_NAMES, BOT_NAMES, nextBotMoveAt } from './bots.js';
+import { summarizeRound } from './results.js';
+
 // --- Constants ---
-// Moved relevant constants here
-const GAME_DURATION_SECONDS = 5 * 60; // 5 minutes
-const CANVAS_WIDTH = 100;
-const CANVAS_HEIGHT = 100;
-const MAX_PLAYERS_PER_ROOM = 8;
-const MIN_PLAYERS_TO_START = 2;
-const PLAYER_COLORS = [
-    '#FF0000', '#00FF00', '#0000FF', '#FFFF00',
-    '#FF00FF', '#00FFFF', '#FFA500', '#800080' // Red, Lime, Blue, Yellow, Magenta, Cyan, Orange, Purple
-];
-const COOLDOWN_MS = 1000; // 1 second
+// Canvas size, round length, cooldown, player limits and colors are per-room settings (functions/settings.js)
+const MAX_SPECTATORS_PER_ROOM = 50; // Spectators don't take player slots but still cost a socket each
+const SPECTATOR_TAG = 'spectator'; // Hibernation tag on spectator sockets, see state.getWebSockets(tag)
+const MAX_PLAYERS_PER_IP = 2; // Players (connected or held) from one address; stops one client taking several colors
+const MAX_SPECTATORS_PER_IP = 5;
+const RATE_LIMIT_BURST = 10; // Messages a client may send at once...
+const RATE_LIMIT_PER_SECOND = 5; // ...and on average
+// Each time a client runs out of tokens it gets a strike and is muted for the matching time.
+// One strike more than there are entries here closes the socket.
+const RATE_LIMIT_PENALTIES_MS = [1000, 5000, 15000];
+const STRIKE_RESET_MS = 60 * 1000; // Strikes are forgotten after this long without a new one
+const CHAT_BURST = 3; // Chat messages and emotes a player may send at once...
+const CHAT_PER_SECOND = 0.5; // ...and on average, on top of the general message limit
+const CHAT_HISTORY_SIZE = 50; // Latest chat messages kept and sent to everyone who joins
+const CANVAS_CHUNK_ROWS = 16; // Canvas is stored as bands of this many rows, so a placement rewrites one band
+const PIXEL_BATCH_MS = 50; // Placements are collected and broadcast/saved together at most this often
+const COUNTDOWN_SECONDS = 5; // Pre-game countdown once everyone is ready
+const RESULTS_SECONDS = 15; // How long the results stay up before the room resets (and players vote on a rematch)
+const RECONNECT_GRACE_MS = 30 * 1000; // How long a dropped player's slot and color are held
+const LOG_CHUNK_EVENTS = 500; // Placement events per stored event log chunk
+const MAX_STORED_ROUNDS = 10; // Event logs of rounds older than this are deleted
+const MAX_FEED_CONNECTIONS = 20; // Open /events streams per room; each one keeps the room in memory
+const FEED_HEARTBEAT_MS = 25 * 1000; // Comment line sent this often so proxies don't close quiet streams
+const FEED_RETRY_MS = 3000; // Reconnect delay asked of EventSource clients, e.g. after the room was evicted
+
+// Round lifecycle. A room loops through these forever:
+// lobby -> readyCheck -> countdown -> playing -> results -> lobby -> ...
+export const PHASES = {
+    LOBBY: 'lobby',              // Waiting for settings.minPlayersToStart players
+    READY_CHECK: 'readyCheck',   // Enough players, waiting for all of them to send 'ready'
+    COUNTDOWN: 'countdown',      // Everyone is ready, short countdown before the round
+    PLAYING: 'playing',          // Round in progress, pixels can be placed
+    RESULTS: 'results',          // Round over, showing the winner until the room resets
+};
+// Phases that end at a fixed time (phaseEndsAt), enforced by the Durable Object alarm
+const TIMED_PHASES = [PHASES.COUNTDOWN, PHASES.PLAYING, PHASES.RESULTS];
+// Phases in which players may still swap colors or teams: nothing has been painted yet
+const COLOR_PICK_PHASES = [PHASES.LOBBY, PHASES.READY_CHECK];
+
+// Quick reactions players can send with 'emote'; client.js has the matching symbols
+export const CHAT_EMOTES = ['like', 'laugh', 'wow', 'angry', 'love', 'party'];
+
+// Broadcasts that also go out on the read-only event feed (see publishToFeed)
+const FEED_EVENTS = ['phase', 'scoreUpdate', 'gameOver'];
+
+// Reasons sent in 'placeReject' (see handlePlacePixel)
+export const PLACEMENT_REJECTIONS = {
+    NOT_PLAYING: 'notPlaying',                 // No round in progress
+    INVALID_COORDINATES: 'invalidCoordinates', // Outside the canvas or not numbers
+    COOLDOWN: 'cooldown',                      // Too soon after the player's last placement
+    SHIELDED: 'shielded',                      // The pixel's color is protected by a shield power-up
+};
+
+// Key of the single highest score in [key, score] pairs, or null on a draw (or no entries).
+function findLeader(entries) {
+    let leader = null;
+    let highScore = -1;
+    let isDraw = false;
+    for (const [key, score] of entries) {
+        if (score > highScore) {
+            highScore = score;
+            leader = key;
+            isDraw = false;
+        } else if (score === highScore) {
+            isDraw = true;
+        }
+    }
+    return isDraw ? null : leader;
+}
+
+const feedEncoder = new TextEncoder();
+
+// One Server-Sent Event. JSON never contains a raw line break, so it fits on a single data line.
+function feedEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000)); // In slices: spreading a whole canvas can overflow the stack
+    }
+    return btoa(binary);
+}
 
 // --- Durable Object Class: GameRoom ---
 // Each instance of this class manages a single game room.
+// Sockets are accepted through the WebSocket Hibernation API and all timing runs
+// on the storage alarm, so an idle room can be evicted from memory and rebuilt
+// from storage and socket attachments when the next event arrives.
 export class GameRoom {
     constructor(state, env) {
         this.state = state; // Storage API provided by Cloudflare
         this.env = env;     // Environment variables (like bindings)
-        this.sessions = []; // Array to hold connected WebSocket sessions { ws: WebSocket, playerId: string, color: string, lastPlacement: number }
-        this.canvasState = null; // Will be loaded from storage or initialized
-        this.scores = {}; // { color: score }
-        this.timerInterval = null;
-        this.timeLeft = GAME_DURATION_SECONDS;
-        this.gameStarted = false;
-        this.gameOver = false;
+        this.sessions = []; // Array to hold player sessions { ws: WebSocket|null, connectionId, playerId, ip, name, color, team, lastPlacement,
+                            //                                 ready, disconnectedAt, pixelsPlaced, pixelsCaptured,
+                            //                                 inventory: [powerUp], effects: { shield, haste } (end times),
+                            //                                 bot: strategy name (bots only), nextMoveAt (bots only) }
+                            // Connected sessions are mirrored in their socket's attachment (see saveSession).
+                            // ws is null while a disconnected player's slot is held for RECONNECT_GRACE_MS,
+                            // and for bots, which never have a socket; both are kept in storage under 'heldSessions'.
+        this.roomCode = null; // Short code the lobby knows this room by
+        this.roomCreatedAt = null; // When the lobby created the room under that code (see clearReissuedRoom)
+        this.settings = DEFAULT_SETTINGS; // Fixed once the first connection configures the room (see configureRoom)
+        this.settingsSaved = false;
+        this.palette = paletteFor(DEFAULT_SETTINGS); // Hex colors the canvas indexes refer to
+        this.canvas = null; // Uint8Array of palette indexes, row-major. Loaded from storage or initialized
+        this.dirtyChunks = new Set(); // Indexes of canvas chunks changed since the last save
+        this.pendingPixels = []; // Placements not yet broadcast: [{ x, y, colorIndex }]
+        this.pixelFlushTimeout = null;
+        this.scores = {}; // { playerId: score }
+        this.roster = {}; // { playerId: { name, color, team } } of everyone in this round, including players who left:
+                          // their pixels stay on the canvas, so their color and name stay taken until the reset
+        this.teamScores = []; // In team mode: each team's points this round
+        this.peakScores = {}; // { playerId: highest score this round }, for the results
+        this.mode = getGameMode(DEFAULT_SETTINGS.gameMode); // Win condition, see functions/gamemodes.js
+        this.zones = []; // Capture zones of the 'zones' mode: [{ x, y, width, height, endsAt, holder }]
+        this.nextTickAt = null; // When the mode's next onTick is due, for modes with a tickMs
+        this.powerUps = []; // Power-ups waiting on the canvas: [{ id, type, x, y }] (see functions/powerups.js)
+        this.nextPowerUpAt = null; // When the next power-up spawns, while playing with settings.powerUps
+        this.chatHistory = []; // Last CHAT_HISTORY_SIZE chat messages: [{ playerId, name, color, text, sentAt }]
+        this.bans = []; // Players a moderator banned from this room: [{ playerId, name, ip, bannedAt }] (see /admin)
+        this.botFillAt = null; // When bots join to make up minPlayersToStart for players waiting in the lobby
+        this.rematchVotes = {}; // During the results: { playerId: true (rematch) or false } (see handleRematchVote)
+        this.phase = PHASES.LOBBY;
+        this.phaseEndsAt = null; // Absolute timestamp (ms) when the current timed phase ends
+        this.roundEnding = false; // Set while endGame works out the results, so nothing lands on the final canvas.
+                                  // Memory only: once evicted, the round is either still playing or over
+        this.round = 1; // Incremented every time the room resets for a new round
+        this.rateLimits = new Map(); // playerId (or spectator connectionId) -> { bucket, chatBucket, strikes, lastStrikeAt, mutedUntil }
+                                     // Memory only: a room only hibernates when nobody is flooding it.
+        this.feeds = new Set(); // Writers of open /events streams. Memory only: the streams end if the room is evicted
+        this.feedHeartbeat = null; // Interval that keeps them alive while there are any
+        this.logChunk = []; // Newest chunk of this round's event log (see appendToLog)
+        this.logChunkIndex = 0;
+        this.logDirty = false;
 
         // Initialize storage if it's the first time.
         // `blockConcurrencyWhile()` ensures that only one execution context
@@ -35,45 +159,381 @@ export class GameRoom {
         });
     }
 
+    // Runs on first use and again every time the object wakes up from hibernation.
     async loadState() {
-        // Load canvas, scores, timer, etc., from durable storage
-        this.canvasState = await this.state.storage.get('canvasState') || this.initializeCanvas();
+        // Load settings first, they decide the canvas size
+        const savedSettings = await this.state.storage.get('settings');
+        this.settingsSaved = Boolean(savedSettings);
+        this.applySettings(savedSettings || DEFAULT_SETTINGS);
+
+        // Load canvas, scores, phase, etc., from durable storage
+        this.canvas = await this.loadCanvas();
+        this.teamScores = await this.state.storage.get('teamScores') || this.emptyTeamScores();
+        this.peakScores = await this.state.storage.get('peakScores') || {};
+        this.zones = await this.state.storage.get('zones') || [];
+        this.nextTickAt = await this.state.storage.get('nextTickAt') ?? null;
+        this.powerUps = await this.state.storage.get('powerUps') || [];
+        this.nextPowerUpAt = await this.state.storage.get('nextPowerUpAt') ?? null;
+        this.chatHistory = await this.state.storage.get('chatHistory') || [];
+        this.bans = await this.state.storage.get('bans') || [];
+        this.botFillAt = await this.state.storage.get('botFillAt') ?? null;
+        this.rematchVotes = await this.state.storage.get('rematchVotes') || {};
         this.scores = await this.state.storage.get('scores') || {};
-        this.timeLeft = await this.state.storage.get('timeLeft') ?? GAME_DURATION_SECONDS;
-        this.gameStarted = await this.state.storage.get('gameStarted') || false;
-        this.gameOver = await this.state.storage.get('gameOver') || false;
-        // Note: sessions are transient and not stored persistently. They reconnect.
-        console.log(`[DO ${this.state.id.toString().substring(0,6)}] State loaded. GameStarted: ${this.gameStarted}, TimeLeft: ${this.timeLeft}`);
+        this.roster = await this.state.storage.get('roster') || {};
+        this.phase = await this.state.storage.get('phase') || PHASES.LOBBY;
+        this.phaseEndsAt = await this.state.storage.get('phaseEndsAt') ?? null;
+        this.round = await this.state.storage.get('round') || 1;
+        this.roomCode = await this.state.storage.get('roomCode') || null;
+        this.roomCreatedAt = await this.state.storage.get('roomCreatedAt') ?? null;
+        this.logChunkIndex = await this.state.storage.get('logChunkIndex') || 0;
+        this.logChunk = await this.state.storage.get(this.logKey(this.round, this.logChunkIndex)) || [];
+
+        // Connected players come back from their socket attachments, players in
+        // their reconnect grace period from storage.
+        const heldSessions = await this.state.storage.get('heldSessions') || [];
+        this.sessions = [
+            ...this.state.getWebSockets()
+                .filter(ws => !this.isSpectator(ws))
+                .map(ws => ({ ...ws.deserializeAttachment(), ws })),
+            ...heldSessions.map(held => ({ ...held, ws: null })),
+        ];
+        this.migrateLegacyScores();
+
+        // Rooms saved before the alarm-driven clock have no end time to wait for.
+        if (TIMED_PHASES.includes(this.phase) && this.phaseEndsAt === null) {
+            this.phase = PHASES.LOBBY;
+        }
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] State loaded. Phase: ${this.phase}, Round: ${this.round}, Players: ${this.sessions.length}`);
+    }
+
+    // Rooms saved before nicknames kept scores by color and had no roster.
+    migrateLegacyScores() {
+        const legacyColors = Object.keys(this.scores).filter(key => key.startsWith('#'));
+        if (legacyColors.length === 0 && this.sessions.every(s => s.name)) return;
+
+        const scores = legacyColors.length > 0 ? {} : this.scores;
+        this.sessions.forEach(session => {
+            session.name = session.name || this.uniqueName(this.defaultName(session.playerId), session.playerId);
+            this.roster[session.playerId] = this.rosterEntry(session);
+            scores[session.playerId] = this.scores[session.color] ?? this.scores[session.playerId] ?? 0;
+            this.saveSession(session);
+        });
+        this.scores = scores;
+    }
+
+    // The lobby forgets rooms that sit empty (see pruneRooms in functions/lobby.js), so a
+    // new room can get the code of an old one and lead back to this object. Everything the
+    // old room left behind goes: the new one starts at round 1 and is configured again.
+    async clearReissuedRoom() {
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Room code ${this.roomCode} was reissued, clearing the old room.`);
+        this.state.getWebSockets().forEach(ws => {
+            try {
+                ws.close(1001, 'Room closed.');
+            } catch (error) {
+                // Already closed
+            }
+        });
+        [...this.feeds].forEach(writer => this.dropFeed(writer));
+        clearTimeout(this.pixelFlushTimeout);
+        this.pixelFlushTimeout = null;
+        this.pendingPixels = [];
+        this.dirtyChunks.clear();
+        this.rateLimits.clear();
+        this.logDirty = false;
+        await this.state.storage.deleteAlarm();
+        await this.state.storage.deleteAll();
+        await this.loadState();
+        this.sessions = []; // The closed sockets may still be listed until the runtime lets go of them
+    }
+
+    applySettings(settings) {
+        this.settings = settings;
+        this.palette = paletteFor(settings);
+        this.mode = getGameMode(settings.gameMode);
+    }
 
-        // Restart timer if game was in progress
-        if (this.gameStarted && !this.gameOver && this.timeLeft > 0 && !this.timerInterval) {
-            this.startTimer();
+    // Fix the room's settings on its first connection: the ones the room was created
+    // with (already validated by /websocket), or the defaults for public rooms and
+    // rooms that predate settings.
+    async configureRoom(settingsParam) {
+        const { settings, error } = parseSettingsParam(settingsParam);
+        if (error) {
+            console.warn(`[DO ${this.state.id.toString().substring(0,6)}] Ignoring invalid settings: ${error}`);
+        }
+        this.applySettings(settings || { ...DEFAULT_SETTINGS });
+        if (this.canvas.length !== this.settings.canvasWidth * this.settings.canvasHeight) {
+            this.dirtyChunks.clear(); // Chunks of the default-sized canvas no longer apply
+            this.canvas = this.initializeCanvas();
+            await this.saveState();
         }
+        this.teamScores = this.emptyTeamScores();
+        await this.state.storage.put('settings', this.settings);
+        this.settingsSaved = true;
+    }
+
+    createBlankCanvas() {
+        return new Uint8Array(this.settings.canvasWidth * this.settings.canvasHeight).fill(BLANK_COLOR_INDEX);
     }
 
     initializeCanvas() {
         console.log(`[DO ${this.state.id.toString().substring(0,6)}] Initializing new canvas state.`);
-        const state = [];
-        for (let y = 0; y < CANVAS_HEIGHT; y++) {
-            state[y] = [];
-            for (let x = 0; x < CANVAS_WIDTH; x++) {
-                state[y][x] = '#FFFFFF'; // Initialize with white
+        const canvas = this.createBlankCanvas();
+        this.markAllChunksDirty();
+        return canvas;
+    }
+
+    // --- Canvas Storage ---
+    // The canvas is split into horizontal bands stored under 'canvas:<n>', so a
+    // save only rewrites the bands that changed instead of the whole canvas.
+
+    chunkCount() {
+        return Math.ceil(this.settings.canvasHeight / CANVAS_CHUNK_ROWS);
+    }
+
+    chunkKey(chunkIndex) {
+        return `canvas:${chunkIndex}`;
+    }
+
+    markDirty(y) {
+        this.dirtyChunks.add(Math.floor(y / CANVAS_CHUNK_ROWS));
+    }
+
+    markAllChunksDirty() {
+        for (let i = 0; i < this.chunkCount(); i++) {
+            this.dirtyChunks.add(i);
+        }
+    }
+
+    async loadCanvas() {
+        const keys = Array.from({ length: this.chunkCount() }, (_, i) => this.chunkKey(i));
+        const chunks = await this.state.storage.get(keys);
+        if (chunks.size === 0) {
+            return await this.migrateLegacyCanvas() || this.initializeCanvas();
+        }
+
+        const canvas = this.createBlankCanvas();
+        chunks.forEach((chunk, key) => {
+            const chunkIndex = Number(key.split(':')[1]);
+            canvas.set(chunk, chunkIndex * CANVAS_CHUNK_ROWS * this.settings.canvasWidth);
+        });
+        return canvas;
+    }
+
+    // Rooms created before the palette-indexed canvas stored a 2D array of hex strings.
+    async migrateLegacyCanvas() {
+        const legacy = await this.state.storage.get('canvasState');
+        if (!legacy) return null;
+
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Migrating legacy canvas state.`);
+        const canvas = this.createBlankCanvas();
+        for (let y = 0; y < this.settings.canvasHeight; y++) {
+            for (let x = 0; x < this.settings.canvasWidth; x++) {
+                const colorIndex = this.palette.indexOf(legacy[y]?.[x]);
+                if (colorIndex > 0) canvas[y * this.settings.canvasWidth + x] = colorIndex;
             }
         }
-        return state;
+        this.markAllChunksDirty();
+        await this.state.storage.delete('canvasState');
+        return canvas;
     }
 
     async saveState() {
-        // Save the current game state to durable storage
-        await this.state.storage.put('canvasState', this.canvasState);
-        await this.state.storage.put('scores', this.scores);
-        await this.state.storage.put('timeLeft', this.timeLeft);
-        await this.state.storage.put('gameStarted', this.gameStarted);
-        await this.state.storage.put('gameOver', this.gameOver);
+        // Save the current game state to durable storage, in a single write.
+        // Only canvas chunks touched since the last save are included.
+        const entries = {
+            scores: this.scores,
+            teamScores: this.teamScores,
+            peakScores: this.peakScores,
+            rematchVotes: this.rematchVotes,
+            zones: this.zones,
+            nextTickAt: this.nextTickAt,
+            powerUps: this.powerUps,
+            nextPowerUpAt: this.nextPowerUpAt,
+            roster: this.roster,
+            phase: this.phase,
+            phaseEndsAt: this.phaseEndsAt,
+            round: this.round,
+            logChunkIndex: this.logChunkIndex,
+        };
+        if (this.logDirty) {
+            entries[this.logKey(this.round, this.logChunkIndex)] = this.logChunk;
+            this.logDirty = false;
+        }
+        this.dirtyChunks.forEach(chunkIndex => {
+            const start = chunkIndex * CANVAS_CHUNK_ROWS * this.settings.canvasWidth;
+            entries[this.chunkKey(chunkIndex)] = this.canvas.slice(start, start + CANVAS_CHUNK_ROWS * this.settings.canvasWidth);
+        });
+        this.dirtyChunks.clear();
+        await this.state.storage.put(entries);
+    }
+
+    // --- Event Log ---
+    // Every placement of a round is recorded as [timestamp, playerId, x, y, oldColorIndex, newColorIndex]
+    // under 'log:<round>:<chunk>', with the round's start and end times under 'roundInfo:<round>'.
+    // The replay endpoint serves these once the round is over.
+
+    logKey(round, chunkIndex) {
+        return `log:${round}:${String(chunkIndex).padStart(5, '0')}`; // Padded so list() returns chunks in order
+    }
+
+    roundInfoKey(round) {
+        return `roundInfo:${round}`;
+    }
+
+    appendToLog(event) {
+        this.logChunk.push(event);
+        this.logDirty = true; // Written with the next saveState()
+        if (this.logChunk.length >= LOG_CHUNK_EVENTS) {
+            // Chunk is full: write it now and start the next one
+            this.state.storage.put(this.logKey(this.round, this.logChunkIndex), this.logChunk);
+            this.logChunkIndex++;
+            this.logChunk = [];
+            this.logDirty = false;
+        }
+    }
+
+    // Saves the rest of this round's log and closes its round info if the round is being
+    // reset before it ended (endGame closes the rounds that finish), so it can be replayed too.
+    async closeRoundLog() {
+        if (this.logDirty) {
+            await this.state.storage.put(this.logKey(this.round, this.logChunkIndex), this.logChunk);
+            this.logDirty = false;
+        }
+        const info = await this.state.storage.get(this.roundInfoKey(this.round));
+        if (info && !info.endedAt) {
+            await this.state.storage.put(this.roundInfoKey(this.round), { ...info, endedAt: Date.now(), aborted: true });
+        }
+    }
+
+    async deleteRoundLog(round) {
+        if (round < 1) return;
+        const chunks = await this.state.storage.list({ prefix: `log:${round}:` });
+        const keys = [...chunks.keys(), this.roundInfoKey(round)];
+        for (let i = 0; i < keys.length; i += 128) {
+            await this.state.storage.delete(keys.slice(i, i + 128)); // delete() takes at most 128 keys
+        }
+    }
+
+    // The most recent round that has ended, or 0 if none has yet.
+    lastFinishedRound() {
+        return this.phase === PHASES.RESULTS ? this.round : this.round - 1;
+    }
+
+    async handleReplayRequest(url) {
+        const requestedRound = url.searchParams.get('round');
+        const round = requestedRound ? Number(requestedRound) : this.lastFinishedRound();
+        if (!Number.isInteger(round) || round < 1) {
+            return jsonResponse({ error: 'No finished round to replay.' }, 404);
+        }
+
+        const info = await this.state.storage.get(this.roundInfoKey(round));
+        if (!info) {
+            return jsonResponse({ error: `No replay available for round ${round}.` }, 404);
+        }
+        if (!info.endedAt) {
+            return jsonResponse({ error: `Round ${round} is still in progress.` }, 409);
+        }
+
+        const events = await this.readRoundLog(round);
+        return jsonResponse({
+            round,
+            width: this.settings.canvasWidth,
+            height: this.settings.canvasHeight,
+            palette: this.palette,
+            startedAt: info.startedAt,
+            endedAt: info.endedAt,
+            aborted: Boolean(info.aborted), // Reset before it finished (see closeRoundLog)
+            events, // [timestamp, playerId, x, y, oldColorIndex, newColorIndex]
+        }, 200, { 'Cache-Control': 'public, max-age=3600' }); // A finished round never changes
+    }
+
+    async readRoundLog(round) {
+        const chunks = await this.state.storage.list({ prefix: `log:${round}:` });
+        return [].concat(...chunks.values());
+    }
+
+    // This round's log so far. The newest chunk comes from memory: it may not be saved yet.
+    async readCurrentRoundLog() {
+        const chunks = await this.state.storage.list({ prefix: `log:${this.round}:` });
+        chunks.delete(this.logKey(this.round, this.logChunkIndex));
+        return [].concat(...chunks.values(), this.logChunk);
+    }
+
+    // The canvas of the current round, or of an earlier one rebuilt from its event log,
+    // as a binary snapshot frame. The /snapshot route turns it into a PNG.
+    async handleCanvasRequest(url) {
+        const requestedRound = url.searchParams.get('round');
+        const round = requestedRound ? Number(requestedRound) : this.round;
+        if (!Number.isInteger(round) || round < 1) {
+            return jsonResponse({ error: 'Invalid round.' }, 400);
+        }
+
+        if (round === this.round) {
+            return new Response(this.buildSnapshot(), {
+                headers: { 'Content-Type': 'application/octet-stream', 'Cache-Control': 'no-store' }, // Still changing
+            });
+        }
+
+        const info = await this.state.storage.get(this.roundInfoKey(round));
+        if (!info || round > this.round) {
+            return jsonResponse({ error: `No canvas available for round ${round}.` }, 404);
+        }
+        const canvas = this.createBlankCanvas();
+        (await this.readRoundLog(round)).forEach(([, , x, y, , newColorIndex]) => {
+            canvas[y * this.settings.canvasWidth + x] = newColorIndex;
+        });
+        return new Response(encodeSnapshot(this.settings.canvasWidth, this.settings.canvasHeight, this.palette, canvas), {
+            headers: { 'Content-Type': 'application/octet-stream', 'Cache-Control': 'public, max-age=3600' },
+        });
+    }
+
+    // --- Session Persistence ---
+
+    // Store a connected session on its socket so it survives hibernation.
+    saveSession(session) {
+        if (!session.ws) return;
+        const { ws, ...attachment } = session;
+        ws.serializeAttachment(attachment);
+    }
+
+    // Held sessions and bots have no socket to live on, so they go to storage.
+    async saveHeldSessions() {
+        const held = this.sessions.filter(s => !s.ws).map(({ ws, ...rest }) => rest);
+        await this.state.storage.put('heldSessions', held);
     }
 
-    // Handle WebSocket connections routed to this Durable Object
+    // Handle WebSocket connections and internal HTTP requests routed to this Durable Object
     async fetch(request) {
+        const url = new URL(request.url);
+        if (request.method === 'GET' && url.pathname === '/internal/do/replay') {
+            return this.handleReplayRequest(url);
+        }
+        if (request.method === 'GET' && url.pathname === '/internal/do/canvas') {
+            return this.handleCanvasRequest(url);
+        }
+        if (request.method === 'GET' && (url.pathname === '/internal/do/status' || url.pathname === '/internal/do/events')) {
+            if (!this.roomCode) {
+                return jsonResponse({ error: 'Room not found.' }, 404, CORS_HEADERS);
+            }
+            return url.pathname === '/internal/do/status'
+                ? jsonResponse(this.buildPublicStatus(url.searchParams.get('canvas') === '1'), 200, { ...CORS_HEADERS, 'Cache-Control': 'no-store' })
+                : this.handleEventsRequest();
+        }
+        if (url.pathname === '/internal/do/admin') {
+            if (!this.roomCode) {
+                return jsonResponse({ error: 'Room not found.' }, 404); // Never had a player: nothing to moderate
+            }
+            if (request.method === 'GET') {
+                return jsonResponse(this.buildAdminState());
+            }
+            try {
+                return await this.handleAdminAction(await request.json());
+            } catch (error) {
+                console.error(`[DO ${this.state.id.toString().substring(0,6)}] Failed to handle admin request:`, error);
+                return jsonResponse({ error: 'Invalid admin request.' }, 400);
+            }
+        }
+
         const upgradeHeader = request.headers.get('Upgrade');
         if (!upgradeHeader || upgradeHeader !== 'websocket') {
             return new Response('Expected Upgrade: websocket', { status: 426 });
@@ -81,11 +541,28 @@ export class GameRoom {
 
         const { 0: clientWs, 1: serverWs } = new WebSocketPair();
 
-        const url = new URL(request.url);
         const playerId = url.searchParams.get('playerId') || crypto.randomUUID();
-        const assignedColor = this.assignColor(); // Assign color within the DO
+        const ip = url.searchParams.get('ip') || null; // Client address, passed on by /websocket
+        const name = url.searchParams.get('name'); // Requested nickname, validated in handleSession
+        const roomCode = url.searchParams.get('roomCode');
+        const createdAt = Number(url.searchParams.get('createdAt')) || null;
+        if (createdAt && this.roomCode && (this.roomCreatedAt ?? 0) < createdAt) {
+            await this.clearReissuedRoom();
+        }
+        if (roomCode && !this.roomCode) {
+            this.roomCode = roomCode;
+            this.roomCreatedAt = createdAt;
+            await this.state.storage.put({ roomCode, roomCreatedAt: createdAt });
+        }
+        if (!this.settingsSaved) {
+            await this.configureRoom(url.searchParams.get('settings'));
+        }
 
-        await this.handleSession(serverWs, playerId, assignedColor);
+        if (url.searchParams.get('role') === 'spectator') {
+            this.handleSpectator(serverWs, ip);
+        } else {
+            await this.handleSession(serverWs, playerId, ip, name);
+        }
 
         return new Response(null, {
             status: 101,
@@ -94,190 +571,1656 @@ export class GameRoom {
     }
 
     assignColor() {
-        const usedColors = this.sessions.map(s => s.color);
-        for (const color of PLAYER_COLORS) {
-            if (!usedColors.includes(color)) {
+        // Held slots of disconnected players, and players who left with pixels on
+        // the canvas, keep their color reserved too (see this.roster).
+        // Colors must come from the palette; settings.maxPlayers never exceeds settings.playerColors.
+        for (const color of this.settings.playerColors) {
+            if (!this.isColorTaken(color)) {
                 return color;
             }
         }
-        return `#${Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')}`;
+        return null;
+    }
+
+    isColorTaken(color, exceptPlayerId = null) {
+        return this.sessions.some(s => s.color === color && s.playerId !== exceptPlayerId) ||
+            Object.entries(this.roster).some(([playerId, entry]) => entry.color === color && playerId !== exceptPlayerId);
+    }
+
+    // --- Nicknames ---
+    // Names are unique within a room, ignoring case. Like colors, the names of
+    // players who left mid-round stay taken until the reset.
+
+    defaultName(playerId) {
+        return `Player ${playerId.substring(0, 4)}`;
+    }
+
+    isNameTaken(name, exceptPlayerId = null) {
+        const lowerName = name.toLowerCase();
+        return this.sessions.some(s => s.playerId !== exceptPlayerId && s.name?.toLowerCase() === lowerName) ||
+            Object.entries(this.roster).some(([playerId, entry]) => playerId !== exceptPlayerId && entry.name.toLowerCase() === lowerName);
+    }
+
+    // Name given to a joining player: their own pick if it's free, otherwise
+    // with a number appended ("Alex 2").
+    uniqueName(name, playerId) {
+        if (!this.isNameTaken(name, playerId)) return name;
+        for (let n = 2; ; n++) {
+            const suffix = ` ${n}`;
+            const candidate = name.substring(0, NICKNAME_MAX_LENGTH - suffix.length).trimEnd() + suffix;
+            if (!this.isNameTaken(candidate, playerId)) return candidate;
+        }
+    }
+
+    // Players in this round with their name, color and whether they are connected,
+    // including players who left with pixels on the canvas.
+    buildRoster() {
+        return Object.entries(this.roster).map(([playerId, { name, color, team = null, bot = false }]) => ({
+            playerId,
+            name,
+            color,
+            team,
+            bot,
+            connected: this.sessions.some(s => s.playerId === playerId && (s.ws || s.bot)),
+        }));
+    }
+
+    broadcastRoster() {
+        this.broadcast({ type: 'roster', players: this.buildRoster() });
     }
 
-    async handleSession(ws, playerId, color) {
-        ws.accept();
+    rosterEntry(session) {
+        return { name: session.name, color: session.color, team: session.team ?? null, bot: Boolean(session.bot) };
+    }
+
+    // Remember a session's current name, color and team for the rest of the round.
+    async saveRosterEntry(session) {
+        this.roster[session.playerId] = this.rosterEntry(session);
+        await this.state.storage.put('roster', this.roster);
+    }
 
-        if (this.sessions.length >= MAX_PLAYERS_PER_ROOM) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Game room is full.' }));
-            ws.close(1008, 'Room full');
+    async handleSetName(session, payload) {
+        const { name, error } = validateNickname(payload.name);
+        if (error) {
+            session.ws.send(JSON.stringify({ type: 'error', message: error }));
             return;
         }
-        if (this.gameOver) {
-             ws.send(JSON.stringify({ type: 'error', message: 'Game has already ended.' }));
-             ws.close(1000, 'Game ended');
-             return;
+        if (name === session.name) return;
+        if (this.isNameTaken(name, session.playerId)) {
+            session.ws.send(JSON.stringify({ type: 'error', message: `The nickname ${name} is already taken.` }));
+            return;
         }
 
-        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${playerId.substring(0,6)} (${color}) connected.`);
-        const session = { ws, playerId, color, lastPlacement: 0 };
-        this.sessions.push(session);
+        session.name = name;
+        this.saveSession(session);
+        await this.saveRosterEntry(session);
+        this.broadcastRoster();
+    }
 
-        if (!this.scores[color]) {
-            this.scores[color] = 0;
+    // Colors can only change before a round starts, while nobody has painted with them.
+    async handlePickColor(session, payload) {
+        const color = payload.color.toUpperCase();
+        let rejection = null;
+        if (this.isTeamMode()) {
+            rejection = 'Players use their team color in this room.';
+        } else if (!COLOR_PICK_PHASES.includes(this.phase)) {
+            rejection = 'Colors can only be changed before the round starts.';
+        } else if (!this.settings.playerColors.includes(color)) {
+            rejection = 'That color is not available in this room.';
+        } else if (this.isColorTaken(color, session.playerId)) {
+            rejection = 'That color is already taken.';
+        }
+        if (rejection) {
+            session.ws.send(JSON.stringify({ type: 'error', message: rejection }));
+            return;
         }
+        if (color === session.color) return;
 
-        ws.send(JSON.stringify({
-            type: 'assignInfo', // Send assignment info from DO now
-            roomId: this.state.id.toString(),
-            playerId: playerId,
-            color: color
-        }));
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} switched ${session.color} -> ${color}.`);
+        session.color = color;
+        this.saveSession(session);
+        await this.saveRosterEntry(session);
+        session.ws.send(JSON.stringify({ type: 'colorChanged', color }));
+        this.broadcastRoster();
+    }
 
-        ws.send(JSON.stringify({
-            type: 'gameState',
-            canvasState: this.canvasState,
-            scores: this.scores,
-            timeLeft: this.gameStarted ? this.timeLeft : null,
-        }));
+    // --- Chat ---
+    // Only players chat; spectators read along.
+
+    async handleChat(session, payload) {
+        const { text, error } = validateChatText(payload.text);
+        if (error) {
+            session.ws.send(JSON.stringify({ type: 'error', message: error }));
+            return;
+        }
+        if (!this.allowChat(session.ws)) return;
 
-        this.broadcast({ type: 'scoreUpdate', scores: this.scores });
+        const message = { playerId: session.playerId, name: session.name, color: session.color, text, sentAt: Date.now() };
+        this.chatHistory = [...this.chatHistory, message].slice(-CHAT_HISTORY_SIZE);
+        await this.state.storage.put('chatHistory', this.chatHistory);
+        this.broadcast({ type: 'chat', message });
+    }
 
-        if (!this.gameStarted && this.sessions.length >= MIN_PLAYERS_TO_START) {
-            this.startGame();
+    // Emotes are not kept in the history. With x and y they pop up at that spot on the canvas.
+    handleEmote(session, payload) {
+        const { emote, x = null, y = null } = payload;
+        let rejection = null;
+        if (!CHAT_EMOTES.includes(emote)) {
+            rejection = 'Unknown emote.';
+        } else if ((x === null) !== (y === null) ||
+            (x !== null && (x < 0 || x >= this.settings.canvasWidth || y < 0 || y >= this.settings.canvasHeight))) {
+            rejection = 'Emotes need a spot on the canvas, or none at all.';
+        }
+        if (rejection) {
+            session.ws.send(JSON.stringify({ type: 'error', message: rejection }));
+            return;
         }
+        if (!this.allowChat(session.ws)) return;
 
-        ws.addEventListener('message', async event => {
-            try {
-                const message = JSON.parse(event.data);
-                console.log(`[DO ${this.state.id.toString().substring(0,6)}] Message from ${playerId.substring(0,6)}:`, message);
-                if (message.type === 'placePixel') {
-                    if (!this.gameStarted || this.gameOver) return;
-                    this.handlePlacePixel(session, message.payload);
-                }
-            } catch (error) {
-                console.error(`[DO ${this.state.id.toString().substring(0,6)}] Failed to handle message:`, error);
-                ws.send(JSON.stringify({ type: 'error', message: 'Invalid message format.' }));
-            }
-        });
+        this.broadcast({ type: 'emote', playerId: session.playerId, name: session.name, color: session.color, emote, x, y });
+    }
 
-        const closeOrErrorHandler = (event) => {
-            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${playerId.substring(0,6)} (${color}) disconnected/errored.`);
-            this.removeSession(session);
-            if (this.sessions.length === 0 && this.gameStarted) {
-                 console.log(`[DO ${this.state.id.toString().substring(0,6)}] Room empty, stopping timer.`);
-                 this.stopTimer();
-                 this.state.storage.put('gameEndedDueToEmpty', true);
-            }
+    // --- Bots ---
+    // Bots are sessions without a socket. They take a color (or a team) and a slot
+    // like anyone else, are always ready, and move from the alarm: each bot paints one
+    // pixel whenever its cooldown allows, plus a short random reaction time.
+    // Players add and remove them before a round ('addBot' / 'removeBot'); bots also
+    // fill in for missing players after settings.botFillSeconds, and leave again when
+    // a real player needs their slot or the last player goes.
+
+    // Returns the new bot session, or null if the room has no space (or color) left.
+    addBot(strategy = null) {
+        if (this.sessions.length >= this.settings.maxPlayers) return null;
+        const team = this.isTeamMode() ? this.assignTeam() : null;
+        const color = this.isTeamMode() ? this.teamColor(team) : this.assignColor();
+        if (!color) return null;
+
+        const playerId = `bot-${crypto.randomUUID()}`;
+        const botNumber = this.sessions.filter(s => s.bot).length;
+        const bot = {
+            ws: null,
+            connectionId: null,
+            playerId,
+            ip: null,
+            name: this.uniqueName(`Bot ${BOT_NAMES[botNumber % BOT_NAMES.length]}`, playerId),
+            color,
+            team,
+            lastPlacement: 0,
+            ready: true,
+            disconnectedAt: null,
+            pixelsPlaced: 0,
+            pixelsCaptured: 0,
+            inventory: [],
+            effects: {},
+            bot: strategy || BOT_STRATEGY_NAMES[Math.floor(Math.random() * BOT_STRATEGY_NAMES.length)],
+            nextMoveAt: this.phase === PHASES.PLAYING ? nextBotMoveAt(Date.now()) : null,
         };
-        ws.addEventListener('close', closeOrErrorHandler);
-        ws.addEventListener('error', closeOrErrorHandler);
+        this.sessions.push(bot);
+        this.roster[playerId] = this.rosterEntry(bot);
+        this.scores[playerId] = this.scores[playerId] || 0;
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Added ${bot.bot} bot ${bot.name} (${color}).`);
+        return bot;
     }
 
-    removeSession(sessionToRemove) {
-        this.sessions = this.sessions.filter(s => s !== sessionToRemove);
+    // Removes a bot that hasn't painted this round, to free its slot. Returns whether one left.
+    dismissBot(playerId = null) {
+        if (!COLOR_PICK_PHASES.includes(this.phase)) return false;
+        const bot = this.sessions.find(s => s.bot && (playerId === null || s.playerId === playerId));
+        if (!bot) return false;
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Removed bot ${bot.name}.`);
+        this.removeSession(bot);
+        return true;
     }
 
-    startGame() {
-        if (this.gameStarted) return;
-        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Starting game!`);
-        this.gameStarted = true;
-        this.timeLeft = GAME_DURATION_SECONDS;
-        this.state.storage.put('gameStarted', true);
-        this.startTimer();
-        this.broadcast({ type: 'timerUpdate', timeLeft: this.timeLeft });
-    }
-
-    startTimer() {
-        if (this.timerInterval) clearInterval(this.timerInterval);
-        this.timerInterval = setInterval(() => {
-            if (this.timeLeft > 0) {
-                this.timeLeft--;
-                this.broadcast({ type: 'timerUpdate', timeLeft: this.timeLeft });
-                if (this.timeLeft % 10 === 0) {
-                     this.saveState();
+    // Everything that changes when bots come or go
+    async saveBotChange() {
+        await this.saveHeldSessions();
+        await this.state.storage.put({ roster: this.roster, scores: this.scores });
+        this.broadcastRoster();
+        this.broadcast(this.buildScoreUpdate());
+        this.broadcastReadyState();
+        this.reportToLobby();
+        this.updatePhaseForPlayers();
+    }
+
+    async handleAddBot(session, payload) {
+        const { strategy } = payload;
+        let rejection = null;
+        if (!COLOR_PICK_PHASES.includes(this.phase)) {
+            rejection = 'Bots can only be added before the round starts.';
+        } else if (strategy !== undefined && !BOT_STRATEGIES[strategy]) {
+            rejection = `Bot strategies: ${BOT_STRATEGY_NAMES.join(', ')}.`;
+        } else if (!this.addBot(strategy)) {
+            rejection = 'The room is full.';
+        }
+        if (rejection) {
+            session.ws.send(JSON.stringify({ type: 'error', message: rejection }));
+            return;
+        }
+        await this.saveBotChange();
+    }
+
+    async handleRemoveBot(session, payload) {
+        if (!this.dismissBot(payload.playerId)) {
+            session.ws.send(JSON.stringify({ type: 'error', message: 'No such bot, or the round has already started.' }));
+            return;
+        }
+        await this.saveBotChange();
+    }
+
+    // Start (or stop) the countdown to bots joining: only while someone waits alone
+    // in the lobby for more players.
+    updateBotFill() {
+        const waiting = this.phase === PHASES.LOBBY && this.settings.botFillSeconds > 0 &&
+            this.connectedSessions().length > 0;
+        const botFillAt = waiting ? this.botFillAt ?? Date.now() + this.settings.botFillSeconds * 1000 : null;
+        if (botFillAt === this.botFillAt) return;
+        this.botFillAt = botFillAt;
+        this.state.storage.put('botFillAt', botFillAt);
+        this.scheduleAlarm();
+    }
+
+    async fillWithBots() {
+        this.botFillAt = null;
+        await this.state.storage.put('botFillAt', null);
+        if (this.phase !== PHASES.LOBBY) return;
+        while (this.activeSessions().length < this.settings.minPlayersToStart && this.addBot()) {
+            // One more
+        }
+        await this.saveBotChange();
+    }
+
+    // Moves every bot whose turn has come. Bots paint through paintPixel like players,
+    // so they score, capture and get logged the same way.
+    async runBots(now) {
+        const due = this.sessions.filter(s => s.bot && s.nextMoveAt && s.nextMoveAt <= now);
+        if (due.length === 0) return;
+        due.forEach(bot => {
+            if (now >= this.nextAllowedAt(bot, now)) {
+                const colorIndex = this.palette.indexOf(bot.color);
+                const cell = (BOT_STRATEGIES[bot.bot] || BOT_STRATEGIES.random).pickCell(this, colorIndex);
+                if (cell && this.paintPixel(bot, cell[0], cell[1], now)) {
+                    bot.lastPlacement = now;
                 }
-            } else {
-                this.endGame();
             }
-        }, 1000);
-        this.state.waitUntil(new Promise(resolve => this.timerResolve = resolve));
+            bot.nextMoveAt = nextBotMoveAt(this.nextAllowedAt(bot, now));
+        });
+        await this.saveHeldSessions();
+    }
+
+    // --- Teams ---
+    // With settings.teamCount set, players are split into teams that share the color
+    // settings.playerColors[team]. A player's own score counts the pixels they painted;
+    // a team's score is the number of pixels in its color on the canvas.
+
+    // Whether placements, power-ups and bot moves count: the round is on and not being ended
+    acceptsPlacements() {
+        return this.phase === PHASES.PLAYING && !this.roundEnding;
+    }
+
+    isTeamMode() {
+        return this.settings.teamCount > 0;
+    }
+
+    teamColor(team) {
+        return this.settings.playerColors[team];
+    }
+
+    // Players (connected or held) on each team
+    teamSizes() {
+        const sizes = new Array(this.settings.teamCount).fill(0);
+        this.sessions.forEach(s => { if (s.team !== null && s.team !== undefined) sizes[s.team]++; });
+        return sizes;
+    }
+
+    // New players join the smallest team, so teams stay balanced as people come and go.
+    assignTeam() {
+        const sizes = this.teamSizes();
+        return sizes.indexOf(Math.min(...sizes));
+    }
+
+    emptyTeamScores() {
+        return new Array(this.settings.teamCount || 0).fill(0);
     }
 
-    stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+    // Players may only move to a team smaller than their own.
+    async handleSwitchTeam(session, payload) {
+        const { team } = payload;
+        const sizes = this.isTeamMode() ? this.teamSizes() : [];
+        let rejection = null;
+        if (!this.isTeamMode()) {
+            rejection = 'This room has no teams.';
+        } else if (!COLOR_PICK_PHASES.includes(this.phase)) {
+            rejection = 'Teams can only be changed before the round starts.';
+        } else if (team < 0 || team >= this.settings.teamCount) {
+            rejection = 'There is no such team.';
+        } else if (team !== session.team && sizes[team] >= sizes[session.team]) {
+            rejection = 'That team is full: teams have to stay balanced.';
         }
-         if (this.timerResolve) {
-            this.timerResolve();
-            this.timerResolve = null;
+        if (rejection) {
+            session.ws.send(JSON.stringify({ type: 'error', message: rejection }));
+            return;
         }
+        if (team === session.team) return;
+
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} switched to team ${team}.`);
+        session.team = team;
+        session.color = this.teamColor(team);
+        this.saveSession(session);
+        await this.saveRosterEntry(session);
+        session.ws.send(JSON.stringify({ type: 'colorChanged', color: session.color, team }));
+        this.broadcastRoster();
     }
 
-    endGame() {
-        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Game over!`);
-        this.stopTimer();
-        this.gameOver = true;
-        this.gameStarted = false;
-
-        let winnerColor = null;
-        let highScore = -1;
-        let isDraw = false;
-        for (const [color, score] of Object.entries(this.scores)) {
-            if (score > highScore) {
-                highScore = score;
-                winnerColor = color;
-                isDraw = false;
-            } else if (score === highScore) {
-                isDraw = true;
+    async handleSession(ws, playerId, ip, requestedName = null) {
+        // A player reconnecting within the grace period gets their old slot back.
+        let session = this.sessions.find(s => s.playerId === playerId);
+        if (!session && this.sessions.length >= this.settings.maxPlayers && !this.isBanned(playerId, ip) && this.dismissBot()) {
+            await this.saveHeldSessions(); // A full room makes space for a real player, if a bot can leave
+        }
+
+        let rejection = null;
+        if (this.isBanned(playerId, ip)) {
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Refusing banned player ${playerId.substring(0,6)}.`);
+            rejection = 'You are banned from this room.';
+        } else if (!session && (this.sessions.length >= this.settings.maxPlayers ||
+            (!this.isTeamMode() && !this.roster[playerId] && !this.assignColor()))) { // Colors of players who left mid-round are still taken
+            rejection = 'Game room is full.';
+        } else if (!session && ip && this.sessions.filter(s => s.ip === ip).length >= MAX_PLAYERS_PER_IP) {
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Too many players from one address, refusing ${playerId.substring(0,6)}.`);
+            rejection = 'Too many players from your network in this room.';
+        }
+        if (rejection) {
+            ws.accept(); // Plain accept: no point hibernating a socket we close right away
+            ws.send(JSON.stringify({ type: 'error', message: rejection }));
+            ws.close(1008, rejection);
+            this.reportToLobby(); // Correct the lobby's reservation for this player
+            return;
+        }
+
+        // From here on the runtime delivers this socket's events to
+        // webSocketMessage / webSocketClose / webSocketError, even after hibernation.
+        this.state.acceptWebSocket(ws);
+
+        let nameError = null;
+        if (session) {
+            session.ip = ip;
+            await this.reclaimSession(session, ws); // Keeps their name; renaming goes through 'setName'
+        } else {
+            // Players who left earlier this round get their old color and name back
+            const previous = this.roster[playerId];
+            const team = this.isTeamMode() ? previous?.team ?? this.assignTeam() : null;
+            const color = this.isTeamMode() ? this.teamColor(team) : previous?.color || this.assignColor(); // Assign color within the DO
+            let name = previous?.name;
+            if (!name) {
+                const validated = requestedName ? validateNickname(requestedName) : { name: this.defaultName(playerId) };
+                nameError = validated.error || null;
+                name = this.uniqueName(validated.name || this.defaultName(playerId), playerId);
             }
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${playerId.substring(0,6)} (${color}) connected.`);
+            session = {
+                ws,
+                connectionId: crypto.randomUUID(), // Tells this socket apart from older ones of the same player
+                playerId,
+                ip,
+                name,
+                color,
+                team,
+                lastPlacement: 0,
+                ready: false,
+                disconnectedAt: null,
+                pixelsPlaced: 0, // This round, for /admin (the results and stats count from the event log)
+                pixelsCaptured: 0, // Placements over another player's color
+                inventory: [], // Collected power-ups, see handleUsePowerUp
+                effects: {}, // Power-up effects and when they end: { shield, haste }
+            };
+            this.sessions.push(session);
+
+            this.roster[playerId] = this.rosterEntry(session);
+            this.scores[playerId] = this.scores[playerId] || 0;
+            await this.state.storage.put({ scores: this.scores, roster: this.roster });
         }
-        const finalWinner = isDraw ? null : winnerColor;
+        this.saveSession(session);
 
-        this.broadcast({ type: 'gameOver', winnerColor: finalWinner, scores: this.scores });
-        this.state.storage.put('gameOver', true);
-        this.state.storage.put('gameStarted', false);
-        this.saveState();
+        ws.send(JSON.stringify({
+            type: 'assignInfo', // Send assignment info from DO now
+            roomId: this.state.id.toString(),
+            roomCode: this.roomCode,
+            role: 'player',
+            settings: this.settings,
+            playerId: playerId,
+            name: session.name,
+            color: session.color,
+            team: session.team,
+            token: await createPlayerToken(this.env, playerId), // Lets the client reconnect as the same player
+        }));
+        if (nameError) {
+            ws.send(JSON.stringify({ type: 'error', message: `${nameError} You are playing as ${session.name}.` }));
+        }
+
+        ws.send(JSON.stringify(this.buildGameState()));
+        ws.send(this.buildSnapshot());
+        ws.send(JSON.stringify(this.buildInventory(session)));
+        ws.send(JSON.stringify({ type: 'chatHistory', messages: this.chatHistory }));
+
+        this.broadcastRoster();
+        this.broadcast(this.buildScoreUpdate());
+        this.broadcastReadyState();
+        if (this.phase === PHASES.RESULTS) {
+            this.broadcast(this.buildRematchVotes()); // One more voter
+        }
+        this.reportToLobby();
+        this.updatePhaseForPlayers();
     }
 
-    handlePlacePixel(session, payload) {
-        const { x, y } = payload;
-        const now = Date.now();
+    // Spectators get the same broadcasts as players but have no session, color or
+    // score, and live outside settings.maxPlayers (and the lobby's player count).
+    handleSpectator(ws, ip) {
+        let rejection = null;
+        if (this.spectatorCount() >= MAX_SPECTATORS_PER_ROOM) {
+            rejection = 'Too many spectators in this room.';
+        } else if (ip && this.state.getWebSockets(SPECTATOR_TAG)
+            .filter(other => other.deserializeAttachment()?.ip === ip).length >= MAX_SPECTATORS_PER_IP) {
+            rejection = 'Too many spectators from your network in this room.';
+        }
+        if (rejection) {
+            ws.accept();
+            ws.send(JSON.stringify({ type: 'error', message: rejection }));
+            ws.close(1008, rejection);
+            return;
+        }
+
+        this.state.acceptWebSocket(ws, [SPECTATOR_TAG]);
+        ws.serializeAttachment({ role: 'spectator', connectionId: crypto.randomUUID(), ip });
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Spectator connected.`);
+
+        ws.send(JSON.stringify({
+            type: 'assignInfo',
+            roomId: this.state.id.toString(),
+            roomCode: this.roomCode,
+            role: 'spectator',
+            settings: this.settings,
+        }));
+        ws.send(JSON.stringify(this.buildGameState()));
+        ws.send(this.buildSnapshot());
+        ws.send(JSON.stringify({ type: 'chatHistory', messages: this.chatHistory }));
+
+        this.broadcastSpectatorCount();
+    }
 
-        if (typeof x !== 'number' || typeof y !== 'number' ||
-            x < 0 || x >= CANVAS_WIDTH || y < 0 || y >= CANVAS_HEIGHT) {
-            session.ws.send(JSON.stringify({ type: 'error', message: 'Invalid coordinates.' }));
+    isSpectator(ws) {
+        return ws.deserializeAttachment()?.role === 'spectator';
+    }
+
+    // excludeWs leaves out a spectator socket that is in the middle of closing.
+    spectatorCount(excludeWs = null) {
+        return this.state.getWebSockets(SPECTATOR_TAG).filter(ws => ws !== excludeWs).length;
+    }
+
+    broadcastSpectatorCount(excludeWs = null) {
+        this.broadcast({ type: 'spectatorCount', count: this.spectatorCount(excludeWs) });
+    }
+
+    // --- WebSocket Hibernation Handlers ---
+
+    async webSocketMessage(ws, data) {
+        // Checked before anything else, so junk costs the room as little as possible.
+        if (messageBytes(data) > MAX_MESSAGE_BYTES) {
+            await this.closeSocket(ws, 1009, 'Message too big');
             return;
         }
-        if (now - session.lastPlacement < COOLDOWN_MS) {
-            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} cooldown active.`);
+        if (!this.allowMessage(ws)) {
+            if (this.rateLimitFor(ws).strikes > RATE_LIMIT_PENALTIES_MS.length) {
+                console.log(`[DO ${this.state.id.toString().substring(0,6)}] Disconnecting client for flooding.`);
+                ws.send(JSON.stringify({ type: 'error', message: 'Disconnected for sending too many messages.' }));
+                await this.closeSocket(ws, 1008, 'Rate limit exceeded');
+            }
             return;
         }
 
-        const oldColor = this.canvasState[y][x];
-        const newColor = session.color;
-        if (oldColor === newColor) return;
-
-        this.canvasState[y][x] = newColor;
-        session.lastPlacement = now;
+        const session = this.getSessionForSocket(ws);
+        if (!session) {
+            if (this.isSpectator(ws)) {
+                ws.send(JSON.stringify({ type: 'error', message: 'Spectators can only watch.' }));
+            }
+            return;
+        }
 
-        if (oldColor !== '#FFFFFF' && this.scores[oldColor]) {
-            this.scores[oldColor] = Math.max(0, this.scores[oldColor] - 1);
+        const { message, error } = parseClientMessage(data);
+        if (error) {
+            ws.send(JSON.stringify({ type: 'error', message: error }));
+            return;
+        }
+        if (message.type === 'placePixel') {
+            this.handlePlacePixel(session, message.payload);
+        } else if (message.type === 'ready') {
+            this.handleReady(session, message.payload);
+        } else if (message.type === 'setName') {
+            await this.handleSetName(session, message.payload);
+        } else if (message.type === 'pickColor') {
+            await this.handlePickColor(session, message.payload);
+        } else if (message.type === 'switchTeam') {
+            await this.handleSwitchTeam(session, message.payload);
+        } else if (message.type === 'usePowerUp') {
+            this.handleUsePowerUp(session, message.payload);
+        } else if (message.type === 'chat') {
+            await this.handleChat(session, message.payload);
+        } else if (message.type === 'emote') {
+            this.handleEmote(session, message.payload);
+        } else if (message.type === 'addBot') {
+            await this.handleAddBot(session, message.payload);
+        } else if (message.type === 'removeBot') {
+            await this.handleRemoveBot(session, message.payload);
+        } else if (message.type === 'rematchVote') {
+            await this.handleRematchVote(session, message.payload);
         }
-        this.scores[newColor] = (this.scores[newColor] || 0) + 1;
+    }
+
+    // --- Rate Limiting ---
+    // Players are limited by playerId, so reconnecting doesn't wipe their strikes.
 
-        this.broadcast({ type: 'pixelUpdate', x, y, color: newColor, scores: this.scores });
-        this.saveState(); // Consider debouncing later
+    rateLimitKey(ws) {
+        const attachment = ws.deserializeAttachment() || {};
+        return attachment.playerId || attachment.connectionId;
     }
 
-    broadcast(message) {
-        const messageString = JSON.stringify(message);
-        this.sessions.forEach(session => {
-            try {
-                session.ws.send(messageString);
-            } catch (error) {
-                console.error(`[DO ${this.state.id.toString().substring(0,6)}] Failed to send message to ${session.playerId.substring(0,6)}:`, error);
-                this.removeSession(session); // Remove session on send error
-            }
-        });
+    rateLimitFor(ws) {
+        const key = this.rateLimitKey(ws);
+        let limit = this.rateLimits.get(key);
+        if (!limit) {
+            limit = {
+                bucket: new TokenBucket(RATE_LIMIT_BURST, RATE_LIMIT_PER_SECOND),
+                chatBucket: new TokenBucket(CHAT_BURST, CHAT_PER_SECOND),
+                strikes: 0,
+                lastStrikeAt: 0,
+                mutedUntil: 0,
+            };
+            this.rateLimits.set(key, limit);
+        }
+        return limit;
+    }
+
+    // False if the message should be dropped. Running out of tokens earns a strike
+    // and a mute; messages sent while muted are dropped without further strikes.
+    allowMessage(ws) {
+        const limit = this.rateLimitFor(ws);
+        const now = Date.now();
+        if (now < limit.mutedUntil) return false;
+        if (limit.bucket.take(now)) return true;
+
+        if (now - limit.lastStrikeAt > STRIKE_RESET_MS) {
+            limit.strikes = 0;
+        }
+        limit.strikes++;
+        limit.lastStrikeAt = now;
+        const muteMs = RATE_LIMIT_PENALTIES_MS[limit.strikes - 1];
+        if (muteMs !== undefined) {
+            limit.mutedUntil = now + muteMs;
+            ws.send(JSON.stringify({ type: 'error', message: `Too many messages. Ignoring you for ${muteMs / 1000}s.` }));
+        }
+        return false;
+    }
+
+    // Chat has its own, slower limit. Going over it only drops the message: no strikes.
+    allowChat(ws) {
+        if (this.rateLimitFor(ws).chatBucket.take()) return true;
+        ws.send(JSON.stringify({ type: 'error', message: 'You are chatting too fast.' }));
+        return false;
+    }
+
+    // Close a socket from our side. The runtime won't call webSocketClose for it,
+    // so clean up as if the client had left.
+    async closeSocket(ws, code, reason) {
+        try {
+            ws.close(code, reason);
+        } catch (error) {
+            // Already closed
+        }
+        await this.handleSocketGone(ws);
+    }
+
+    async webSocketClose(ws, code, reason, wasClean) {
+        await this.handleSocketGone(ws);
+        try {
+            ws.close(code, 'Closing'); // Complete the close handshake
+        } catch (error) {
+            // Abnormal close codes (1005, 1006) can't be echoed back
+        }
+    }
+
+    async webSocketError(ws, error) {
+        console.error(`[DO ${this.state.id.toString().substring(0,6)}] WebSocket error:`, error);
+        await this.handleSocketGone(ws);
+    }
+
+    async handleSocketGone(ws) {
+        if (this.isSpectator(ws)) {
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Spectator disconnected.`);
+            this.rateLimits.delete(this.rateLimitKey(ws));
+            this.broadcastSpectatorCount(ws);
+            return;
+        }
+
+        const session = this.getSessionForSocket(ws);
+        // Sockets that were already replaced by a reconnect no longer own a session,
+        // and 'close' usually follows 'error' for the same socket.
+        if (!session || !session.ws) return;
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} (${session.color}) disconnected/errored.`);
+        await this.disconnectSession(session);
+    }
+
+    // Socket objects may be recreated across hibernation, so match on the
+    // connectionId stored in the attachment rather than on identity.
+    getSessionForSocket(ws) {
+        const attachment = ws.deserializeAttachment();
+        if (!attachment) return null;
+        return this.sessions.find(s => s.connectionId === attachment.connectionId) || null;
+    }
+
+    // Attach a new socket to a held (or still open, e.g. a second tab) session.
+    async reclaimSession(session, ws) {
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} (${session.color}) reconnected.`);
+        const oldWs = session.ws;
+        session.ws = ws;
+        session.connectionId = crypto.randomUUID();
+        session.disconnectedAt = null;
+
+        if (oldWs) {
+            try {
+                oldWs.close(4000, 'Replaced by a newer connection');
+            } catch (error) {
+                // Already closed
+            }
+        } else {
+            await this.saveHeldSessions();
+            await this.scheduleAlarm();
+        }
+    }
+
+    // The socket is gone, but hold the player's slot and color for a while
+    // in case they come back. The alarm releases it if they don't.
+    async disconnectSession(session) {
+        session.ws = null;
+        session.ready = false;
+        session.disconnectedAt = Date.now();
+        await this.saveHeldSessions();
+        await this.scheduleAlarm();
+
+        this.broadcastRoster();
+        this.broadcastReadyState();
+        this.updatePhaseForPlayers();
+    }
+
+    // Free the slots of held players whose grace period is over.
+    async expireHeldSessions(now) {
+        const expired = this.sessions.filter(s => !s.ws && !s.bot && s.disconnectedAt + RECONNECT_GRACE_MS <= now);
+        if (expired.length === 0) return;
+
+        expired.forEach(session => {
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} (${session.color}) did not reconnect, releasing slot.`);
+            this.removeSession(session);
+        });
+        await this.saveHeldSessions();
+        await this.state.storage.put({ roster: this.roster, scores: this.scores });
+        this.broadcastRoster();
+        this.reportToLobby();
+    }
+
+    removeSession(sessionToRemove) {
+        this.sessions = this.sessions.filter(s => s !== sessionToRemove);
+        this.rateLimits.delete(sessionToRemove.playerId);
+        if (this.phase !== PHASES.PLAYING && this.phase !== PHASES.RESULTS) {
+            // Nothing of theirs on the canvas: free their name and color right away
+            delete this.roster[sessionToRemove.playerId];
+            delete this.scores[sessionToRemove.playerId];
+        }
+    }
+
+    // Sessions with a live socket, i.e. not sitting out a reconnect grace period (and not bots).
+    connectedSessions() {
+        return this.sessions.filter(s => s.ws);
+    }
+
+    // Everyone taking part right now: connected players and bots.
+    activeSessions() {
+        return this.sessions.filter(s => s.ws || s.bot);
+    }
+
+    // Players, connected or held, without the bots
+    humanSessions() {
+        return this.sessions.filter(s => !s.bot);
+    }
+
+    // Full state sent to a player when they join and to everyone after a reset.
+    // Always followed by a binary snapshot of the canvas (see buildSnapshot).
+    // Clients count down to endsAt themselves; serverTime lets them correct for clock skew.
+    buildGameState() {
+        return {
+            type: 'gameState',
+            phase: this.phase,
+            round: this.round,
+            settings: this.settings,
+            scores: this.scores,
+            teamScores: this.teamScores,
+            players: this.buildRoster(),
+            objective: this.mode.objective(this.settings),
+            zones: this.zones,
+            powerUps: this.powerUps,
+            endsAt: this.phaseEndsAt,
+            serverTime: Date.now(),
+            readyState: this.getReadyState(),
+            spectators: this.spectatorCount(),
+        };
+    }
+
+    // teamScores is empty outside team mode
+    buildScoreUpdate() {
+        return { type: 'scoreUpdate', scores: this.scores, teamScores: this.teamScores };
+    }
+
+    buildSnapshot() {
+        return encodeSnapshot(this.settings.canvasWidth, this.settings.canvasHeight, this.palette, this.canvas);
+    }
+
+    // --- Public Status and Event Feed ---
+    // Read-only views of the room for integrations (dashboards, stream overlays, chat
+    // bots) that don't take a player slot: GET /status (functions/status.js) and the
+    // Server-Sent Events stream of GET /events (functions/events.js).
+
+    // Phase, time left, players and scores; the canvas too if withCanvas
+    buildPublicStatus(withCanvas = false) {
+        const now = Date.now();
+        const status = {
+            roomCode: this.roomCode,
+            phase: this.phase,
+            round: this.round,
+            endsAt: this.phaseEndsAt,
+            timeLeftSeconds: this.phaseEndsAt === null ? null : Math.max(0, Math.ceil((this.phaseEndsAt - now) / 1000)),
+            serverTime: now,
+            settings: this.settings,
+            objective: this.mode.objective(this.settings),
+            players: this.buildRoster().map(player => ({ ...player, score: this.scores[player.playerId] || 0 })),
+            teamScores: this.teamScores,
+            zones: this.zones,
+            spectators: this.spectatorCount(),
+        };
+        if (withCanvas) status.canvas = this.buildCanvasJson();
+        return status;
+    }
+
+    // The canvas as JSON: pixels holds the palette index of every pixel (row-major), base64 encoded
+    buildCanvasJson() {
+        return {
+            width: this.settings.canvasWidth,
+            height: this.settings.canvasHeight,
+            palette: this.palette,
+            pixels: toBase64(this.canvas),
+        };
+    }
+
+    // Events, each with a JSON data line:
+    //   status       on connect (see buildPublicStatus)
+    //   phase, scoreUpdate, gameOver   the same messages players get
+    //   pixelUpdate  { pixels: [{ x, y, color }] } for every batch of placements
+    //   snapshot     the whole canvas (see buildCanvasJson) after a wipe or a round reset
+    handleEventsRequest() {
+        if (this.feeds.size >= MAX_FEED_CONNECTIONS) {
+            return jsonResponse({ error: 'Too many event streams on this room.' }, 503, CORS_HEADERS);
+        }
+        const { readable, writable } = new TransformStream();
+        const writer = writable.getWriter();
+        this.feeds.add(writer);
+        writer.closed.catch(() => this.dropFeed(writer)); // Rejects once the reader goes away
+        this.writeToFeed(writer, `retry: ${FEED_RETRY_MS}\n\n`);
+        this.writeToFeed(writer, feedEvent('status', this.buildPublicStatus()));
+        if (!this.feedHeartbeat) {
+            this.feedHeartbeat = setInterval(() => this.feeds.forEach(feed => this.writeToFeed(feed, ': ping\n\n')), FEED_HEARTBEAT_MS);
+        }
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Event stream opened (${this.feeds.size} open).`);
+        return new Response(readable, {
+            headers: { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' },
+        });
+    }
+
+    publishToFeed(event, data) {
+        if (this.feeds.size === 0) return;
+        const text = feedEvent(event, data);
+        this.feeds.forEach(writer => this.writeToFeed(writer, text));
+    }
+
+    // Not awaited: a slow reader must not hold up the room. A failed write means the stream is gone.
+    writeToFeed(writer, text) {
+        writer.write(feedEncoder.encode(text)).catch(() => this.dropFeed(writer));
+    }
+
+    dropFeed(writer) {
+        if (!this.feeds.delete(writer)) return;
+        writer.abort().catch(() => {});
+        if (this.feeds.size === 0) {
+            clearInterval(this.feedHeartbeat);
+            this.feedHeartbeat = null;
+        }
+    }
+
+    // --- Moderation ---
+    // Reached through the /admin route (functions/admin.js), which checks the admin
+    // secret before forwarding anything here.
+
+    // Everything a moderator needs to judge a room: phase, settings and every session.
+    buildAdminState() {
+        return {
+            roomCode: this.roomCode,
+            phase: this.phase,
+            round: this.round,
+            endsAt: this.phaseEndsAt,
+            settings: this.settings,
+            players: this.sessions.map(s => ({
+                playerId: s.playerId,
+                name: s.name,
+                color: s.color,
+                team: s.team ?? null,
+                ip: s.ip,
+                connected: Boolean(s.ws),
+                disconnectedAt: s.disconnectedAt,
+                ready: s.ready,
+                score: this.scores[s.playerId] || 0,
+                pixelsPlaced: s.pixelsPlaced || 0,
+                pixelsCaptured: s.pixelsCaptured || 0,
+                mutedUntil: this.rateLimits.get(s.playerId)?.mutedUntil || null,
+                bot: s.bot || null, // Strategy of bots
+            })),
+            spectators: this.spectatorCount(),
+            bans: this.bans,
+            serverTime: Date.now(),
+        };
+    }
+
+    isBanned(playerId, ip) {
+        return this.bans.some(ban => ban.playerId === playerId || (ip && ban.ip === ip));
+    }
+
+    // { action, ... } from the admin route. Answers { ok: true, ... } or { error } with a status.
+    async handleAdminAction({ action, playerId, strategy, x, y, width, height }) {
+        const session = playerId ? this.sessions.find(s => s.playerId === playerId) : null;
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Admin action: ${action}${playerId ? ` ${playerId.substring(0,6)}` : ''}.`);
+
+        switch (action) {
+            case 'kick':
+                if (!session) return jsonResponse({ error: 'No such player in this room.' }, 404);
+                await this.kickSession(session, 'You were removed from the room by a moderator.');
+                return jsonResponse({ ok: true });
+
+            case 'ban': {
+                if (!playerId) return jsonResponse({ error: 'playerId is required.' }, 400);
+                if (!this.bans.some(ban => ban.playerId === playerId)) {
+                    const entry = session || this.roster[playerId] || {};
+                    this.bans.push({ playerId, name: entry.name ?? null, ip: session?.ip ?? null, bannedAt: Date.now() });
+                    await this.state.storage.put('bans', this.bans);
+                }
+                if (session) {
+                    await this.kickSession(session, 'You were banned from this room.');
+                }
+                return jsonResponse({ ok: true, bans: this.bans });
+            }
+
+            case 'unban':
+                this.bans = this.bans.filter(ban => ban.playerId !== playerId);
+                await this.state.storage.put('bans', this.bans);
+                return jsonResponse({ ok: true, bans: this.bans });
+
+            case 'addBot': {
+                if (!COLOR_PICK_PHASES.includes(this.phase)) {
+                    return jsonResponse({ error: 'Bots can only be added before the round starts.' }, 409);
+                }
+                if (strategy !== undefined && !BOT_STRATEGIES[strategy]) {
+                    return jsonResponse({ error: `Bot strategies: ${BOT_STRATEGY_NAMES.join(', ')}.` }, 400);
+                }
+                const bot = this.addBot(strategy);
+                if (!bot) return jsonResponse({ error: 'The room is full.' }, 409);
+                await this.saveBotChange();
+                return jsonResponse({ ok: true, playerId: bot.playerId, name: bot.name });
+            }
+
+            case 'startGame':
+                if (this.phase === PHASES.PLAYING || this.phase === PHASES.RESULTS) {
+                    return jsonResponse({ error: `Cannot start a round during ${this.phase}.` }, 409);
+                }
+                if (this.connectedSessions().length === 0) {
+                    return jsonResponse({ error: 'Nobody is connected to play.' }, 409);
+                }
+                await this.startGame();
+                return jsonResponse({ ok: true, phase: this.phase, endsAt: this.phaseEndsAt });
+
+            case 'endGame':
+                if (this.phase !== PHASES.PLAYING) {
+                    return jsonResponse({ error: 'No round in progress.' }, 409);
+                }
+                await this.endGame();
+                return jsonResponse({ ok: true, phase: this.phase, endsAt: this.phaseEndsAt });
+
+            case 'resetRound':
+                await this.resetRound(); // Also unsticks a room whose clock or players got out of step
+                return jsonResponse({ ok: true, phase: this.phase, round: this.round });
+
+            case 'resetCanvas':
+                return jsonResponse({ ok: true, wiped: await this.wipeRegion(0, 0, this.settings.canvasWidth, this.settings.canvasHeight) });
+
+            case 'wipeRegion': {
+                const bounds = [x, y, width, height];
+                if (!bounds.every(Number.isInteger) || width < 1 || height < 1) {
+                    return jsonResponse({ error: 'wipeRegion needs whole numbers x, y, width and height.' }, 400);
+                }
+                if (x < 0 || y < 0 || x + width > this.settings.canvasWidth || y + height > this.settings.canvasHeight) {
+                    return jsonResponse({ error: 'The region must lie inside the canvas.' }, 400);
+                }
+                return jsonResponse({ ok: true, wiped: await this.wipeRegion(x, y, width, height) });
+            }
+
+            default:
+                return jsonResponse({ error: `Unknown action: ${action}.` }, 400);
+        }
+    }
+
+    // Remove a player right away, without holding their slot. Closing with 1008
+    // tells the client not to reconnect.
+    async kickSession(session, message) {
+        this.removeSession(session);
+        if (session.ws) {
+            try {
+                session.ws.send(JSON.stringify({ type: 'error', message }));
+                session.ws.close(1008, message);
+            } catch (error) {
+                // Already closed
+            }
+        }
+        await this.saveHeldSessions();
+        await this.state.storage.put({ roster: this.roster, scores: this.scores });
+        await this.scheduleAlarm();
+
+        this.broadcastRoster();
+        this.broadcast(this.buildScoreUpdate());
+        this.broadcastReadyState();
+        this.reportToLobby();
+        this.updatePhaseForPlayers();
+    }
+
+    // Blank a rectangle of the canvas, scoring it like placements of the blank color,
+    // and send everyone a fresh snapshot. Returns the number of pixels cleared.
+    // Wipes go into the event log without a playerId, so replays show them too.
+    async wipeRegion(x, y, width, height) {
+        this.flushPixelUpdates(); // Placements still queued must not land on top of the snapshot
+        const now = Date.now();
+        let wiped = 0;
+        for (let row = y; row < y + height; row++) {
+            for (let column = x; column < x + width; column++) {
+                const index = row * this.settings.canvasWidth + column;
+                const oldColorIndex = this.canvas[index];
+                if (oldColorIndex === BLANK_COLOR_INDEX) continue;
+                this.canvas[index] = BLANK_COLOR_INDEX;
+                this.appendToLog([now, null, column, row, oldColorIndex, BLANK_COLOR_INDEX]);
+                if (this.phase === PHASES.PLAYING) {
+                    this.mode.onPlace?.(this, oldColorIndex, BLANK_COLOR_INDEX);
+                }
+                wiped++;
+            }
+            this.markDirty(row);
+        }
+        if (this.phase === PHASES.PLAYING) {
+            this.mode.onFlush?.(this);
+        }
+        this.powerUps = this.powerUps.filter(p => p.x < x || p.x >= x + width || p.y < y || p.y >= y + height);
+
+        this.broadcast(this.buildSnapshot());
+        if (this.feeds.size > 0) this.publishToFeed('snapshot', this.buildCanvasJson());
+        this.broadcast({ type: 'powerUps', powerUps: this.powerUps });
+        this.broadcast(this.buildScoreUpdate());
+        await this.saveState(); // After the broadcasts, so no placement slips in between the wipe and the snapshot
+        return wiped;
+    }
+
+    // --- Round Lifecycle ---
+
+    // endsAt is the absolute end time for timed phases, null otherwise.
+    setPhase(phase, endsAt = null, details = {}) {
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Phase ${this.phase} -> ${phase}`);
+        this.phase = phase;
+        this.phaseEndsAt = endsAt;
+        this.state.storage.put({ phase, phaseEndsAt: endsAt });
+        this.scheduleAlarm();
+        this.broadcast({ type: 'phase', phase, round: this.round, endsAt, serverTime: Date.now(), ...details });
+        this.reportToLobby();
+    }
+
+    // Move between lobby, ready-check and countdown as players come, go and ready up.
+    updatePhaseForPlayers() {
+        const players = this.activeSessions();
+        // Bots count towards the minimum, but never play by themselves
+        const enoughPlayers = players.length >= this.settings.minPlayersToStart && players.some(s => !s.bot);
+        this.updateBotFill();
+
+        if (this.phase === PHASES.LOBBY && enoughPlayers) {
+            this.setPhase(PHASES.READY_CHECK);
+        } else if ((this.phase === PHASES.READY_CHECK || this.phase === PHASES.COUNTDOWN) && !enoughPlayers) {
+            this.setPhase(PHASES.LOBBY);
+            return;
+        }
+
+        if (this.phase === PHASES.READY_CHECK && players.every(s => s.ready)) {
+            this.startCountdown();
+        }
+    }
+
+    handleReady(session, payload) {
+        if (this.phase !== PHASES.READY_CHECK && this.phase !== PHASES.COUNTDOWN) return;
+        const ready = payload?.ready !== false; // { ready: false } un-readies, anything else readies
+        if (session.ready === ready) return;
+
+        session.ready = ready;
+        this.saveSession(session);
+        this.broadcastReadyState();
+
+        if (!ready && this.phase === PHASES.COUNTDOWN) {
+            // Someone backed out: go back to waiting for everyone.
+            this.setPhase(PHASES.READY_CHECK);
+            return;
+        }
+        this.updatePhaseForPlayers();
+    }
+
+    getReadyState() {
+        const readyState = {};
+        this.activeSessions().forEach(s => { readyState[s.playerId] = s.ready; });
+        return readyState;
+    }
+
+    broadcastReadyState() {
+        this.broadcast({ type: 'readyUpdate', readyState: this.getReadyState() });
+    }
+
+    // While the results are up, connected players vote on a rematch. Once more than half
+    // of them want one, the room resets and heads straight for the countdown with the
+    // same players, instead of waiting for everyone to ready up again.
+    async handleRematchVote(session, payload) {
+        if (this.phase !== PHASES.RESULTS) {
+            session.ws.send(JSON.stringify({ type: 'error', message: 'Rematch votes open when a round ends.' }));
+            return;
+        }
+        this.rematchVotes[session.playerId] = payload.vote;
+        await this.state.storage.put('rematchVotes', this.rematchVotes);
+
+        const update = this.buildRematchVotes();
+        this.broadcast(update);
+        if (Object.values(update.votes).filter(Boolean).length >= update.needed) {
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Rematch voted.`);
+            await this.resetRound({ rematch: true });
+        }
+    }
+
+    // Votes of the players still connected (bots don't vote), and how many yes votes make a majority
+    buildRematchVotes() {
+        const voters = this.connectedSessions();
+        const votes = {};
+        voters.filter(s => s.playerId in this.rematchVotes).forEach(s => { votes[s.playerId] = this.rematchVotes[s.playerId]; });
+        return { type: 'rematchVotes', votes, needed: Math.floor(voters.length / 2) + 1 };
+    }
+
+    startCountdown() {
+        this.setPhase(PHASES.COUNTDOWN, Date.now() + COUNTDOWN_SECONDS * 1000);
+    }
+
+    async startGame() {
+        if (this.phase === PHASES.PLAYING) return;
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Starting game!`);
+        const now = Date.now();
+        this.mode.onRoundStart?.(this, now);
+        this.nextTickAt = this.mode.tickMs ? now + this.mode.tickMs : null;
+        this.nextPowerUpAt = this.settings.powerUps ? now + POWER_UP_SPAWN_MS : null;
+        this.sessions.filter(s => s.bot).forEach(bot => { bot.nextMoveAt = nextBotMoveAt(now); });
+        if (this.zones.length > 0) {
+            this.broadcast({ type: 'zones', zones: this.zones });
+        }
+        this.setPhase(PHASES.PLAYING, Date.now() + this.settings.gameDurationSeconds * 1000);
+        this.broadcast({ type: 'timerUpdate', endsAt: this.phaseEndsAt, serverTime: Date.now() });
+
+        // Saved once the phase has changed, so a second call meanwhile returns above
+        await this.state.storage.put({
+            [this.roundInfoKey(this.round)]: { round: this.round, startedAt: now, endedAt: null },
+            zones: this.zones, nextTickAt: this.nextTickAt, nextPowerUpAt: this.nextPowerUpAt,
+        });
+        await this.saveHeldSessions(); // The bots' first moves
+    }
+
+    // --- Alarm ---
+    // One storage alarm covers every deadline in the room: the end of the current
+    // timed phase, the expiry of held reconnect slots, mode ticks, power-up spawns,
+    // bots joining and bot moves.
+
+    async scheduleAlarm() {
+        const deadlines = this.sessions
+            .filter(s => !s.ws && !s.bot)
+            .map(s => s.disconnectedAt + RECONNECT_GRACE_MS);
+        if (TIMED_PHASES.includes(this.phase) && this.phaseEndsAt !== null) {
+            deadlines.push(this.phaseEndsAt);
+        }
+        if (this.phase === PHASES.PLAYING && this.nextTickAt !== null) {
+            deadlines.push(this.nextTickAt);
+        }
+        if (this.phase === PHASES.PLAYING && this.nextPowerUpAt !== null) {
+            deadlines.push(this.nextPowerUpAt);
+        }
+        if (this.phase === PHASES.PLAYING) {
+            this.sessions.filter(s => s.bot && s.nextMoveAt).forEach(bot => deadlines.push(bot.nextMoveAt));
+        }
+        if (this.botFillAt !== null) {
+            deadlines.push(this.botFillAt);
+        }
+
+        if (deadlines.length === 0) {
+            await this.state.storage.deleteAlarm();
+        } else {
+            await this.state.storage.setAlarm(Math.min(...deadlines));
+        }
+    }
+
+    async alarm() {
+        const now = Date.now();
+        await this.expireHeldSessions(now);
+
+        if (this.humanSessions().length === 0 && this.phase !== PHASES.LOBBY) {
+            // Nobody left to finish the round (bots don't count): stop everything and start fresh.
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Room empty, resetting round.`);
+            await this.resetRound();
+        } else if (this.humanSessions().length === 0 && this.sessions.length > 0) {
+            this.sessions.forEach(bot => this.removeSession(bot)); // Only bots left in the lobby: send them home
+            await this.saveBotChange();
+        } else {
+            if (this.botFillAt !== null && this.botFillAt <= now) {
+                await this.fillWithBots();
+            }
+            if (this.phase === PHASES.PLAYING && this.nextTickAt !== null && this.nextTickAt <= now) {
+                await this.runModeTick(now);
+            }
+            if (this.acceptsPlacements()) {
+                await this.runBots(now);
+            }
+            if (this.phase === PHASES.PLAYING && this.nextPowerUpAt !== null && this.nextPowerUpAt <= now) {
+                await this.spawnPowerUps(now);
+            }
+            if (this.phaseEndsAt !== null && this.phaseEndsAt <= now) {
+                if (this.phase === PHASES.COUNTDOWN) {
+                    await this.startGame();
+                } else if (this.phase === PHASES.PLAYING) {
+                    await this.endGame();
+                } else if (this.phase === PHASES.RESULTS) {
+                    await this.resetRound();
+                }
+            }
+        }
+
+        await this.scheduleAlarm();
+    }
+
+    // Periodic scoring of modes with a tickMs (capture zones).
+    async runModeTick(now) {
+        this.mode.onTick(this, now);
+        this.recordPeakScores();
+        this.nextTickAt = now + this.mode.tickMs;
+        if (this.zones.length > 0) {
+            this.broadcast({ type: 'zones', zones: this.zones });
+        }
+        this.broadcast(this.buildScoreUpdate());
+        await this.state.storage.put({
+            zones: this.zones, nextTickAt: this.nextTickAt, scores: this.scores, teamScores: this.teamScores,
+            peakScores: this.peakScores,
+        });
+    }
+
+    // Placements stop counting as soon as this is called: the flag is set before the first await.
+    async endGame() {
+        if (this.phase !== PHASES.PLAYING || this.roundEnding) return; // Already over, or being ended by another call
+        this.roundEnding = true;
+        try {
+            await this.finishRound();
+        } finally {
+            this.roundEnding = false;
+        }
+    }
+
+    // Works out and broadcasts the results. Only called through endGame, which guards it.
+    async finishRound() {
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Game over!`);
+        this.flushPixelUpdates(); // Make sure everyone has the final canvas before the results
+        const summary = summarizeRound(await this.readCurrentRoundLog(), this.settings.canvasWidth, this.settings.canvasHeight);
+
+        // Solo rounds are won by a player, team rounds by a team (winner stays null).
+        // The MVP is the top painter of the winning team, or of everyone on a draw.
+        let winner = null;
+        let winningTeam = null;
+        let mvp = null;
+        if (this.isTeamMode()) {
+            winningTeam = findLeader(this.teamScores.map((score, team) => [team, score]));
+            const candidates = Object.keys(this.roster)
+                .filter(playerId => winningTeam === null || this.roster[playerId].team === winningTeam);
+            mvp = candidates.reduce((best, playerId) =>
+                best === null || (this.scores[playerId] || 0) > (this.scores[best] || 0) ? playerId : best, null);
+        } else {
+            winner = findLeader(Object.entries(this.scores));
+        }
+
+        // Per-player results: placements and captures from the log, plus the best score they reached
+        const results = {};
+        Object.keys(this.roster).forEach(playerId => {
+            results[playerId] = {
+                pixelsPlaced: 0,
+                pixelsCaptured: 0,
+                capturedFrom: {}, // { rivalPlayerId: pixels taken from them }
+                ...summary.players[playerId],
+                peakScore: Math.max(this.peakScores[playerId] || 0, this.scores[playerId] || 0),
+            };
+        });
+
+        this.nextTickAt = null; // Zones stay on screen during the results, but stop paying
+        this.nextPowerUpAt = null;
+        this.rematchVotes = {};
+        this.broadcast({
+            type: 'gameOver',
+            round: this.round,
+            winner, // playerId, null on a draw and in team mode
+            winnerName: winner ? this.roster[winner]?.name ?? null : null,
+            winningTeam, // Team index in team mode, null on a draw
+            mvp,
+            mvpName: mvp ? this.roster[mvp]?.name ?? null : null,
+            scores: this.scores,
+            teamScores: this.teamScores,
+            players: this.buildRoster(),
+            results,
+            resultsSeconds: RESULTS_SECONDS,
+        });
+        this.broadcast(encodeHeatmap(this.settings.canvasWidth, this.settings.canvasHeight, summary.heat));
+        this.setPhase(PHASES.RESULTS, Date.now() + RESULTS_SECONDS * 1000);
+        await this.saveState(); // The last log chunk must be stored before the round info says it's over
+
+        // Closing the round info makes its event log available to the replay endpoint
+        const info = await this.state.storage.get(this.roundInfoKey(this.round));
+        await this.state.storage.put(this.roundInfoKey(this.round), { ...info, endedAt: Date.now() });
+
+        await this.reportToStats(winner, winningTeam, results);
+    }
+
+    // Send the result of everyone who played the round to the global stats store: the
+    // roster, so players who left or were kicked count too, with the counts from the results.
+    // In team mode everyone on the winning team gets the win. Bots are left out.
+    async reportToStats(winner, winningTeam, results) {
+        const players = Object.entries(this.roster).filter(([, entry]) => !entry.bot).map(([playerId, entry]) => ({
+            playerId,
+            name: entry.name,
+            score: this.scores[playerId] || 0,
+            won: this.isTeamMode() ? winningTeam !== null && entry.team === winningTeam : playerId === winner,
+            pixelsPlaced: results[playerId]?.pixelsPlaced || 0,
+            pixelsCaptured: results[playerId]?.pixelsCaptured || 0,
+        }));
+        if (players.length === 0) return;
+        try {
+            await getStatsStub(this.env).fetch('https://stats/internal/stats/report', {
+                method: 'POST',
+                body: JSON.stringify({ roomCode: this.roomCode, round: this.round, endedAt: Date.now(), players }),
+            });
+        } catch (error) {
+            console.error(`[DO ${this.state.id.toString().substring(0,6)}] Failed to report to stats:`, error);
+        }
+    }
+
+    // Wipe the canvas and scores and send the room back to the lobby for another round.
+    // After a rematch vote everyone still connected starts out ready.
+    async resetRound({ rematch = false } = {}) {
+        if (this.pixelFlushTimeout) {
+            clearTimeout(this.pixelFlushTimeout);
+            this.pixelFlushTimeout = null;
+        }
+        this.pendingPixels = [];
+
+        await this.closeRoundLog();
+        this.round++;
+        this.logChunk = [];
+        this.logChunkIndex = 0;
+        this.logDirty = false;
+        await this.deleteRoundLog(this.round - MAX_STORED_ROUNDS);
+        this.canvas = this.initializeCanvas();
+        this.teamScores = this.emptyTeamScores();
+        this.peakScores = {};
+        this.rematchVotes = {};
+        this.zones = [];
+        this.nextTickAt = null;
+        this.powerUps = [];
+        this.nextPowerUpAt = null;
+        this.scores = {};
+        this.roster = {}; // Players who left during the round are forgotten now that their pixels are gone
+        if (this.humanSessions().length === 0) {
+            this.sessions = []; // Bots don't stay in an empty room
+        }
+        this.sessions.forEach(s => {
+            s.ready = Boolean(s.bot) || (rematch && Boolean(s.ws)); // Bots are always ready
+            s.nextMoveAt = null;
+            s.lastPlacement = 0;
+            s.pixelsPlaced = 0;
+            s.pixelsCaptured = 0;
+            s.inventory = [];
+            s.effects = {};
+            this.scores[s.playerId] = 0;
+            this.roster[s.playerId] = this.rosterEntry(s);
+            this.saveSession(s);
+        });
+        this.phase = PHASES.LOBBY;
+        this.phaseEndsAt = null;
+        await this.saveState();
+        await this.saveHeldSessions();
+        await this.scheduleAlarm();
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Reset for round ${this.round}.`);
+
+        this.broadcast(this.buildGameState());
+        this.broadcast(this.buildSnapshot());
+        if (this.feeds.size > 0) this.publishToFeed('snapshot', this.buildCanvasJson());
+        this.connectedSessions().forEach(s => s.ws.send(JSON.stringify(this.buildInventory(s)))); // Power-ups don't carry over
+        this.reportToLobby();
+        this.updatePhaseForPlayers();
+        if (rematch) {
+            this.broadcastReadyState(); // The gameState above showed everyone in the lobby, not ready
+        }
+    }
+
+    // Every placePixel gets exactly one answer carrying the client's `seq`, so the
+    // client can confirm or roll back the pixel it drew optimistically:
+    //   { type: 'placeAck', seq, nextAllowedAt, serverTime }
+    //   { type: 'placeReject', seq, reason, nextAllowedAt, serverTime }  reason is one of PLACEMENT_REJECTIONS
+    // nextAllowedAt is the server time the player's cooldown ends; the server's clock is the only one that counts.
+    handlePlacePixel(session, payload) {
+        const { x, y, seq = null } = payload || {};
+        const now = Date.now();
+
+        if (!this.acceptsPlacements()) {
+            this.answerPlacement(session, seq, PLACEMENT_REJECTIONS.NOT_PLAYING);
+            return;
+        }
+        if (!Number.isInteger(x) || !Number.isInteger(y) ||
+            x < 0 || x >= this.settings.canvasWidth || y < 0 || y >= this.settings.canvasHeight) {
+            this.answerPlacement(session, seq, PLACEMENT_REJECTIONS.INVALID_COORDINATES);
+            return;
+        }
+        if (now < this.nextAllowedAt(session, now)) {
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} cooldown active.`);
+            this.answerPlacement(session, seq, PLACEMENT_REJECTIONS.COOLDOWN);
+            return;
+        }
+
+        const oldColorIndex = this.canvas[y * this.settings.canvasWidth + x];
+        if (oldColorIndex === this.palette.indexOf(session.color)) {
+            this.answerPlacement(session, seq); // Already theirs: nothing changes and no cooldown
+            return;
+        }
+        if (this.isShielded(oldColorIndex, now)) {
+            this.answerPlacement(session, seq, PLACEMENT_REJECTIONS.SHIELDED);
+            return;
+        }
+
+        this.paintPixel(session, x, y, now);
+        session.lastPlacement = now;
+        this.saveSession(session);
+        this.answerPlacement(session, seq);
+    }
+
+    // Paint one pixel in the session's color: canvas, event log, stats, scores, power-up
+    // pickup and the next pixel broadcast. Returns false if the pixel already has the
+    // session's color or is shielded. Cooldowns are up to the caller.
+    paintPixel(session, x, y, now) {
+        const index = y * this.settings.canvasWidth + x;
+        const oldColorIndex = this.canvas[index];
+        const newColorIndex = this.palette.indexOf(session.color);
+        if (oldColorIndex === newColorIndex || this.isShielded(oldColorIndex, now)) return false;
+
+        this.canvas[index] = newColorIndex;
+        this.markDirty(y);
+        this.appendToLog([now, session.playerId, x, y, oldColorIndex, newColorIndex]);
+        session.pixelsPlaced = (session.pixelsPlaced || 0) + 1;
+        if (oldColorIndex !== BLANK_COLOR_INDEX) {
+            session.pixelsCaptured = (session.pixelsCaptured || 0) + 1;
+        }
+
+        if (this.isTeamMode()) {
+            // Player scores only grow here: they count what each teammate contributed.
+            // The game mode scores the teams.
+            this.scores[session.playerId] = (this.scores[session.playerId] || 0) + 1;
+        }
+        this.mode.onPlace?.(this, oldColorIndex, newColorIndex);
+
+        this.queuePixelUpdate(x, y, newColorIndex);
+        this.collectPowerUp(session, x, y);
+        return true;
+    }
+
+    // Haste halves the cooldown while it lasts.
+    nextAllowedAt(session, now = Date.now()) {
+        const cooldownMs = session.effects?.haste > now ? this.settings.cooldownMs / 2 : this.settings.cooldownMs;
+        return session.lastPlacement + cooldownMs;
+    }
+
+    // A shield protects the color of the player who raised it (their whole team's, in team mode).
+    isShielded(colorIndex, now) {
+        if (colorIndex === BLANK_COLOR_INDEX) return false;
+        return this.sessions.some(s => s.effects?.shield > now && this.palette.indexOf(s.color) === colorIndex);
+    }
+
+    // --- Power-ups ---
+
+    async spawnPowerUps(now) {
+        this.nextPowerUpAt = now + POWER_UP_SPAWN_MS;
+        if (this.powerUps.length < MAX_POWER_UPS_ON_CANVAS) {
+            const powerUp = spawnPowerUp(this.settings, this.powerUps);
+            if (powerUp) {
+                this.powerUps.push(powerUp);
+                this.broadcast({ type: 'powerUps', powerUps: this.powerUps });
+            }
+        }
+        await this.state.storage.put({ powerUps: this.powerUps, nextPowerUpAt: this.nextPowerUpAt });
+    }
+
+    // Painting a power-up's cell picks it up, unless the painter's inventory is full.
+    collectPowerUp(session, x, y) {
+        const powerUp = this.powerUps.find(p => p.x === x && p.y === y);
+        if (!powerUp || session.bot) return; // Bots can't use power-ups, so they leave them for the players
+        session.inventory = session.inventory || [];
+        if (session.inventory.length >= MAX_INVENTORY) return;
+
+        session.inventory.push(powerUp.type);
+        this.powerUps = this.powerUps.filter(p => p !== powerUp);
+        this.state.storage.put('powerUps', this.powerUps);
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} collected ${powerUp.type}.`);
+        session.ws?.send(JSON.stringify(this.buildInventory(session)));
+        this.broadcast({ type: 'powerUps', powerUps: this.powerUps });
+    }
+
+    buildInventory(session) {
+        return { type: 'inventory', inventory: session.inventory || [], effects: session.effects || {}, serverTime: Date.now() };
+    }
+
+    // Answered with 'powerUpUsed' or 'powerUpRejected', both carrying the player's
+    // next allowed placement time like placeAck / placeReject.
+    // Tools count as a placement and paint their whole area at once: every cell is
+    // applied before anything is sent, and all of them go out in a single pixel update.
+    handleUsePowerUp(session, payload) {
+        const { powerUp } = payload;
+        const now = Date.now();
+        const answer = (type, extra = {}) => session.ws.send(JSON.stringify({
+            type, powerUp, nextAllowedAt: this.nextAllowedAt(session, now), serverTime: now, ...extra,
+        }));
+
+        const slot = (session.inventory || []).indexOf(powerUp);
+        let rejection = null;
+        let cells = [];
+        if (!this.acceptsPlacements()) {
+            rejection = 'The round is not in progress.';
+        } else if (slot === -1) {
+            rejection = "You don't have that power-up.";
+        } else if (POWER_UPS[powerUp].tool) {
+            if (now < this.nextAllowedAt(session, now)) {
+                rejection = 'Too fast! Wait for your cooldown.';
+            } else {
+                const target = toolCells(powerUp, payload, this.settings);
+                rejection = target.error || null;
+                cells = target.cells || [];
+            }
+        }
+        if (rejection) {
+            answer('powerUpRejected', { message: rejection });
+            return;
+        }
+
+        session.inventory.splice(slot, 1);
+        if (POWER_UPS[powerUp].tool) {
+            cells.forEach(([x, y]) => this.paintPixel(session, x, y, now));
+            session.lastPlacement = now;
+            this.flushPixelUpdates();
+        } else {
+            session.effects = { ...session.effects, [powerUp]: now + POWER_UPS[powerUp].durationMs };
+            this.broadcast({ type: 'powerUpActivated', playerId: session.playerId, name: session.name, powerUp, until: session.effects[powerUp] });
+        }
+        console.log(`[DO ${this.state.id.toString().substring(0,6)}] Player ${session.playerId.substring(0,6)} used ${powerUp}.`);
+        this.saveSession(session);
+        answer('powerUpUsed');
+        session.ws.send(JSON.stringify(this.buildInventory(session)));
+    }
+
+    // playerId of whoever paints with a color this round, or null
+    colorOwner(color) {
+        return Object.keys(this.roster).find(playerId => this.roster[playerId].color === color) || null;
+    }
+
+    // --- Points ---
+    // Game modes score colors; these credit the team painting with a palette index
+    // in team mode, otherwise the player who owns that color. Never below zero.
+
+    pointsTable() {
+        return this.isTeamMode() ? this.teamScores : this.scores;
+    }
+
+    competitorFor(colorIndex) {
+        if (colorIndex === null || colorIndex === BLANK_COLOR_INDEX) return null;
+        if (this.isTeamMode()) {
+            return colorIndex <= this.settings.teamCount ? colorIndex - 1 : null; // Team n paints with palette index n + 1
+        }
+        return this.colorOwner(this.palette[colorIndex]);
+    }
+
+    addPoints(colorIndex, points) {
+        const competitor = this.competitorFor(colorIndex);
+        if (competitor === null) return;
+        const table = this.pointsTable();
+        table[competitor] = Math.max(0, (table[competitor] || 0) + points);
+    }
+
+    setPoints(colorIndex, points) {
+        const competitor = this.competitorFor(colorIndex);
+        if (competitor === null) return;
+        this.pointsTable()[competitor] = Math.max(0, points);
+    }
+
+    // Keeps each player's best score of the round for the results
+    recordPeakScores() {
+        for (const [playerId, score] of Object.entries(this.scores)) {
+            if (score > (this.peakScores[playerId] || 0)) this.peakScores[playerId] = score;
+        }
+    }
+
+    // Current points of every player (or team), for modes that end at a score
+    competitorScores() {
+        return Object.values(this.pointsTable());
+    }
+
+    // rejection is null for an ack
+    answerPlacement(session, seq, rejection = null) {
+        const answer = {
+            type: rejection ? 'placeReject' : 'placeAck',
+            seq,
+            nextAllowedAt: this.nextAllowedAt(session),
+            serverTime: Date.now(),
+        };
+        if (rejection) answer.reason = rejection;
+        session.ws.send(JSON.stringify(answer));
+    }
+
+    // Placements are broadcast as one binary frame per PIXEL_BATCH_MS, and the
+    // dirty canvas chunks are saved at the same time.
+    queuePixelUpdate(x, y, colorIndex) {
+        this.pendingPixels.push({ x, y, colorIndex });
+        if (this.pendingPixels.length >= MAX_PIXELS_PER_FRAME) {
+            this.flushPixelUpdates();
+        } else if (!this.pixelFlushTimeout) {
+            this.pixelFlushTimeout = setTimeout(() => this.flushPixelUpdates(), PIXEL_BATCH_MS);
+        }
+    }
+
+    flushPixelUpdates() {
+        if (this.pixelFlushTimeout) {
+            clearTimeout(this.pixelFlushTimeout);
+            this.pixelFlushTimeout = null;
+        }
+        if (this.pendingPixels.length === 0) return;
+
+        this.broadcast(encodePixelUpdate(this.pendingPixels));
+        if (this.feeds.size > 0) {
+            this.publishToFeed('pixelUpdate', {
+                pixels: this.pendingPixels.map(({ x, y, colorIndex }) => ({ x, y, color: this.palette[colorIndex] })),
+            });
+        }
+        this.mode.onFlush?.(this);
+        this.recordPeakScores();
+        this.broadcast(this.buildScoreUpdate());
+        this.pendingPixels = [];
+        this.saveState();
+
+        if (this.acceptsPlacements() && this.mode.isWon?.(this)) {
+            console.log(`[DO ${this.state.id.toString().substring(0,6)}] Win condition reached early.`);
+            this.endGame().catch(error => {
+                console.error(`[DO ${this.state.id.toString().substring(0,6)}] Failed to end the round:`, error);
+            });
+        }
+    }
+
+    // Sends a JSON message, or an ArrayBuffer as a binary frame, to every connected
+    // player and spectator.
+    broadcast(message) {
+        const data = message instanceof ArrayBuffer ? message : JSON.stringify(message);
+        this.state.getWebSockets().forEach(ws => {
+            try {
+                ws.send(data);
+            } catch (error) {
+                console.error(`[DO ${this.state.id.toString().substring(0,6)}] Failed to send message:`, error);
+                // Treat a failed send like a dropped connection
+                this.handleSocketGone(ws).catch(error => {
+                    console.error(`[DO ${this.state.id.toString().substring(0,6)}] Failed to drop the connection:`, error);
+                });
+            }
+        });
+        if (FEED_EVENTS.includes(message.type)) {
+            this.publishToFeed(message.type, message);
+        }
+    }
+
+    // Tell the lobby how full this room is so matchmaking can route players here.
+    async reportToLobby() {
+        if (!this.roomCode) return;
+        try {
+            await getLobbyStub(this.env).fetch('https://lobby/internal/lobby/report', {
+                method: 'POST',
+                body: JSON.stringify({
+                    code: this.roomCode,
+                    // Bots give up their slot to joining players until the round starts
+                    players: COLOR_PICK_PHASES.includes(this.phase) ? this.humanSessions().length : this.sessions.length,
+                    capacity: this.settings.maxPlayers,
+                    started: this.phase === PHASES.COUNTDOWN || this.phase === PHASES.PLAYING,
+                }),
+            });
+        } catch (error) {
+            console.error(`[DO ${this.state.id.toString().substring(0,6)}] Failed to report to lobby:`, error);
+        }
     }
 }
@@ -0,0 +1,14 @@
+// functions/http.js
+
+// Small helpers shared by the HTTP routes and Durable Objects.
+
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+// For read-only public data (room status and event feed), which dashboards and
+// stream overlays load from their own origins
+export const CORS_HEADERS = { 'Access-Control-Allow-Origin': '*' };
@@ -0,0 +1,31 @@
+// functions/leaderboard.js
+
+import { getStatsStub } from './stats.js';
+import { jsonResponse } from './http.js';
+
+// This function handles GET requests to the /leaderboard path.
+// Query parameters:
+//   ?period=all   all-time leaderboard (default)
+//   ?period=week  this week's leaderboard (ISO weeks, starting Monday UTC)
+//   ?limit=N      number of entries, at most 100
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const requestUrl = new URL(request.url);
+    const url = new URL('https://stats/internal/stats/leaderboard');
+    for (const param of ['period', 'limit']) {
+        const value = requestUrl.searchParams.get(param);
+        if (value !== null) url.searchParams.set(param, value);
+    }
+
+    try {
+        const response = await getStatsStub(env).fetch(url.toString());
+        return new Response(response.body, {
+            status: response.status,
+            headers: { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=30' },
+        });
+    } catch (error) {
+        console.error('Error in /leaderboard function:', error);
+        return jsonResponse({ error: 'Failed to load leaderboard.' }, 500);
+    }
+}
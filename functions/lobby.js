@@ -0,0 +1,216 @@
+// functions/lobby.js
+
+import { jsonResponse } from './http.js';
+import { DEFAULT_SETTINGS } from './settings.js';
+import { TokenBucket } from './ratelimit.js';
+
+// --- Constants ---
+const LOBBY_NAME = 'global-lobby'; // Single lobby instance that knows about every room
+const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, they are easily confused with 1 and 0
+const ROOM_IDLE_TTL_MS = 10 * 60 * 1000; // Forget empty rooms after 10 minutes
+const JOIN_BURST_PER_IP = 10; // Connection attempts one address may make at once...
+const JOIN_REFILL_PER_SECOND = 10 / 60; // ...and then 10 a minute
+
+// Helper used by the /websocket function and GameRoom to reach the lobby.
+export function getLobbyStub(env) {
+    return env.LOBBY.get(env.LOBBY.idFromName(LOBBY_NAME));
+}
+
+// Room codes are case-insensitive for players typing them in, stored uppercase.
+export function normalizeRoomCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// True for strings that could be a code handed out by createRoom (after normalizing).
+// HTTP routes check this before addressing a GameRoom, so junk codes don't spin up empty objects.
+export function isValidRoomCode(code) {
+    return code.length === ROOM_CODE_LENGTH && [...code].every(c => ROOM_CODE_ALPHABET.includes(c));
+}
+
+// --- Durable Object Class: Lobby ---
+// Matchmaking registry. Tracks every room with its player count so new players
+// can be placed in a room with space, and hands out codes for private rooms.
+// GameRoom instances report their real occupancy back here.
+export class Lobby {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.rooms = {}; // { code: { code, isPrivate, players, capacity, started, createdAt, updatedAt } }
+        this.joinLimits = new Map(); // ip -> TokenBucket. Memory only; losing it on eviction just resets the limits
+
+        this.state.blockConcurrencyWhile(async () => {
+            this.rooms = await this.state.storage.get('rooms') || {};
+        });
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        try {
+            if (request.method === 'POST' && url.pathname === '/internal/lobby/join') {
+                return await this.handleJoin(await request.json());
+            }
+            if (request.method === 'POST' && url.pathname === '/internal/lobby/report') {
+                return await this.handleReport(await request.json());
+            }
+            if (request.method === 'GET' && url.pathname === '/internal/lobby/rooms') {
+                return jsonResponse({ rooms: Object.values(this.rooms) }); // For the admin route
+            }
+        } catch (error) {
+            console.error('[Lobby] Failed to handle request:', error);
+            return jsonResponse({ error: 'Invalid lobby request.' }, 400);
+        }
+        return jsonResponse({ error: 'Not found.' }, 404);
+    }
+
+    // Pick (or create) the room a connecting player should go to.
+    // `room` is either missing (quick play), 'new' (create a private room) or a room code.
+    // `rejoin` is set for players with a valid token, who may still hold a slot in that room.
+    // Spectators (`role: 'spectator'`) don't take a player slot; the room enforces their own cap.
+    // `settings` (already validated) only comes with 'new' and sets the new room's capacity.
+    // `ip` is the client's address; every join attempt from it takes a token from its bucket.
+    async handleJoin({ room, rejoin, role, settings, ip }) {
+        this.pruneRooms();
+
+        if (ip && !this.allowJoin(ip)) {
+            console.log(`[Lobby] Too many join attempts from one address.`);
+            return jsonResponse({ error: 'Too many connection attempts. Try again in a minute.' }, 429);
+        }
+
+        if (role === 'spectator') {
+            return this.handleSpectate(room);
+        }
+
+        let entry;
+        if (room === 'new') {
+            entry = this.createRoom(true, settings?.maxPlayers);
+        } else if (room) {
+            const code = normalizeRoomCode(room);
+            entry = this.rooms[code];
+            if (!entry) {
+                return jsonResponse({ error: `Room ${code} not found.` }, 404);
+            }
+            if (rejoin) {
+                // Their held slot is already counted; the room has the final say.
+                return jsonResponse({ code: entry.code, isPrivate: entry.isPrivate, createdAt: entry.createdAt });
+            }
+            if (entry.players >= entry.capacity) {
+                return jsonResponse({ error: 'Game room is full.' }, 409);
+            }
+        } else {
+            entry = this.findPublicRoom() || this.createRoom(false);
+        }
+
+        // Reserve the slot now so concurrent joins don't overfill a room before
+        // it reports back. The room's next report replaces this with the real count.
+        entry.players++;
+        entry.updatedAt = Date.now();
+        await this.saveRooms();
+
+        console.log(`[Lobby] Assigned player to ${entry.isPrivate ? 'private' : 'public'} room ${entry.code} (${entry.players}/${entry.capacity}).`);
+        return jsonResponse({ code: entry.code, isPrivate: entry.isPrivate, created: room === 'new', createdAt: entry.createdAt });
+    }
+
+    // Spectators watch the requested room, or the busiest public game in progress.
+    handleSpectate(room) {
+        let entry;
+        if (room && room !== 'new') {
+            const code = normalizeRoomCode(room);
+            entry = this.rooms[code];
+            if (!entry) {
+                return jsonResponse({ error: `Room ${code} not found.` }, 404);
+            }
+        } else if (!room) {
+            const candidates = Object.values(this.rooms).filter(r => !r.isPrivate && r.players > 0);
+            candidates.sort((a, b) => (b.started - a.started) || (b.players - a.players));
+            entry = candidates[0];
+            if (!entry) {
+                return jsonResponse({ error: 'No games to watch right now.' }, 404);
+            }
+        } else {
+            return jsonResponse({ error: 'Spectators cannot create rooms.' }, 400);
+        }
+
+        console.log(`[Lobby] Sending spectator to room ${entry.code}.`);
+        return jsonResponse({ code: entry.code, isPrivate: entry.isPrivate, createdAt: entry.createdAt });
+    }
+
+    // Occupancy update sent by a GameRoom whenever players join or leave.
+    async handleReport({ code, players, capacity, started }) {
+        const entry = this.rooms[normalizeRoomCode(code)];
+        if (!entry) {
+            return jsonResponse({ error: 'Unknown room.' }, 404);
+        }
+        entry.players = players;
+        entry.capacity = capacity;
+        entry.started = started;
+        entry.updatedAt = Date.now();
+        await this.saveRooms();
+        return jsonResponse({ ok: true });
+    }
+
+    // Prefer rooms that haven't started yet, then the fullest one, so games fill up quickly.
+    findPublicRoom() {
+        const candidates = Object.values(this.rooms).filter(r =>
+            !r.isPrivate && r.players < r.capacity
+        );
+        candidates.sort((a, b) => (a.started - b.started) || (b.players - a.players));
+        return candidates[0] || null;
+    }
+
+    createRoom(isPrivate, capacity = DEFAULT_SETTINGS.maxPlayers) {
+        let code;
+        do {
+            code = this.generateCode();
+        } while (this.rooms[code]);
+
+        const entry = {
+            code,
+            isPrivate,
+            players: 0,
+            capacity,
+            started: false,
+            createdAt: Date.now(), // Tells this room apart from earlier ones that had the same code (see pruneRooms)
+            updatedAt: Date.now(),
+        };
+        this.rooms[code] = entry;
+        console.log(`[Lobby] Created ${isPrivate ? 'private' : 'public'} room ${code}.`);
+        return entry;
+    }
+
+    generateCode() {
+        const bytes = crypto.getRandomValues(new Uint8Array(ROOM_CODE_LENGTH));
+        return Array.from(bytes, b => ROOM_CODE_ALPHABET[b % ROOM_CODE_ALPHABET.length]).join('');
+    }
+
+    allowJoin(ip) {
+        const now = Date.now();
+        let bucket = this.joinLimits.get(ip);
+        if (!bucket) {
+            bucket = new TokenBucket(JOIN_BURST_PER_IP, JOIN_REFILL_PER_SECOND);
+            this.joinLimits.set(ip, bucket);
+        }
+        const allowed = bucket.take(now);
+
+        // Addresses whose buckets have refilled are indistinguishable from new ones
+        for (const [otherIp, otherBucket] of this.joinLimits) {
+            if (otherBucket.isFull(now)) this.joinLimits.delete(otherIp);
+        }
+        return allowed;
+    }
+
+    // Drop rooms that have been empty for a while. Their codes can be handed out again:
+    // GameRoom clears what the old room left behind when it sees a newer createdAt.
+    pruneRooms() {
+        const cutoff = Date.now() - ROOM_IDLE_TTL_MS;
+        for (const [code, entry] of Object.entries(this.rooms)) {
+            if (entry.players === 0 && entry.updatedAt < cutoff) {
+                delete this.rooms[code];
+            }
+        }
+    }
+
+    async saveRooms() {
+        await this.state.storage.put('rooms', this.rooms);
+    }
+}
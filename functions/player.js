@@ -0,0 +1,26 @@
+// functions/player.js
+
+import { getStatsStub } from './stats.js';
+import { jsonResponse } from './http.js';
+
+// This function handles GET requests to the /player path.
+// Returns one player's all-time and weekly statistics.
+// Query parameters:
+//   ?id=...  the player's id (the playerId from 'assignInfo')
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const playerId = new URL(request.url).searchParams.get('id');
+    if (!playerId) {
+        return jsonResponse({ error: 'A player id is required.' }, 400);
+    }
+
+    try {
+        const url = new URL('https://stats/internal/stats/player');
+        url.searchParams.set('id', playerId);
+        return await getStatsStub(env).fetch(url.toString());
+    } catch (error) {
+        console.error('Error in /player function:', error);
+        return jsonResponse({ error: 'Failed to load player.' }, 500);
+    }
+}
@@ -0,0 +1,92 @@
+// functions/png.js
+
+// Minimal PNG encoder for palette-indexed canvases, using only what the Workers
+// runtime provides (CompressionStream for zlib, no native modules).
+// Output is an 8-bit indexed-color PNG: signature | IHDR | PLTE | IDAT | IEND
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const COLOR_TYPE_INDEXED = 3;
+const FILTER_NONE = 0;
+
+const encoder = new TextEncoder();
+
+// CRC-32 lookup table (polynomial 0xEDB88320), as used by PNG chunk checksums
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// length | type | data | crc(type + data)
+function chunk(type, data) {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    bytes.set(encoder.encode(type), 4);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+    return bytes;
+}
+
+// 'deflate' in CompressionStream is the zlib format PNG's IDAT expects
+async function zlibCompress(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// palette: [[r, g, b], ...]; pixels: width*height palette indexes, row-major.
+// Each logical pixel becomes a scale x scale block in the image.
+export async function encodePng(width, height, palette, pixels, scale = 1) {
+    const imageWidth = width * scale;
+    const imageHeight = height * scale;
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, imageWidth);
+    headerView.setUint32(4, imageHeight);
+    header[8] = 8; // Bit depth
+    header[9] = COLOR_TYPE_INDEXED;
+    // Compression, filter and interlace methods stay 0
+
+    const paletteBytes = new Uint8Array(palette.length * 3);
+    palette.forEach((rgb, i) => paletteBytes.set(rgb, i * 3));
+
+    // Every scanline starts with its filter type byte
+    const rowBytes = 1 + imageWidth;
+    const raw = new Uint8Array(rowBytes * imageHeight);
+    for (let y = 0; y < height; y++) {
+        const row = new Uint8Array(rowBytes);
+        row[0] = FILTER_NONE;
+        for (let x = 0; x < width; x++) {
+            row.fill(pixels[y * width + x], 1 + x * scale, 1 + (x + 1) * scale);
+        }
+        for (let repeat = 0; repeat < scale; repeat++) {
+            raw.set(row, (y * scale + repeat) * rowBytes);
+        }
+    }
+
+    const parts = [
+        new Uint8Array(PNG_SIGNATURE),
+        chunk('IHDR', header),
+        chunk('PLTE', paletteBytes),
+        chunk('IDAT', await zlibCompress(raw)),
+        chunk('IEND', new Uint8Array(0)),
+    ];
+    const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        png.set(part, offset);
+        offset += part.length;
+    }
+    return png;
+}
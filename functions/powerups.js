@@ -0,0 +1,70 @@
+// functions/powerups.js
+
+// Power-ups spawn on free cells of the canvas while a round is playing. Painting
+// over one collects it into the painter's inventory; the player then uses it with
+// a 'usePowerUp' message. Tools paint an area in one go (see toolCells), effects
+// last a while. GameRoom applies them (see handleUsePowerUp).
+
+// --- Constants ---
+export const POWER_UP_SPAWN_MS = 10 * 1000; // A new power-up appears this often...
+export const MAX_POWER_UPS_ON_CANVAS = 3; // ...while fewer than this many are lying around
+export const MAX_INVENTORY = 3; // Power-ups a player can carry; full players don't pick up more
+const LINE_MAX_LENGTH = 8; // Pixels painted by the line tool, at most
+const BOMB_RADIUS = 1; // 3x3 square
+
+export const POWER_UPS = {
+    bomb: { tool: true },                // Fills the 3x3 square around the target
+    line: { tool: true },                // Paints a straight line of up to LINE_MAX_LENGTH pixels
+    shield: { durationMs: 10 * 1000 },   // Your color can't be painted over
+    haste: { durationMs: 15 * 1000 },    // Halves your cooldown
+};
+
+// A random power-up on a random cell that doesn't already hold one, or null if the
+// tries run out (a nearly full canvas of power-ups, in practice never).
+export function spawnPowerUp(settings, powerUps) {
+    const types = Object.keys(POWER_UPS);
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const x = Math.floor(Math.random() * settings.canvasWidth);
+        const y = Math.floor(Math.random() * settings.canvasHeight);
+        if (powerUps.some(p => p.x === x && p.y === y)) continue;
+        return { id: crypto.randomUUID(), type: types[Math.floor(Math.random() * types.length)], x, y };
+    }
+    return null;
+}
+
+// Cells a tool paints for a 'usePowerUp' payload: { cells: [[x, y], ...] } clipped
+// to the canvas, or { error } with a message fit for players.
+export function toolCells(type, { x, y, toX, toY }, settings) {
+    const inside = (cx, cy) => cx >= 0 && cx < settings.canvasWidth && cy >= 0 && cy < settings.canvasHeight;
+    if (x === undefined || y === undefined || !inside(x, y)) {
+        return { error: 'Pick a target on the canvas.' };
+    }
+
+    if (type === 'bomb') {
+        const cells = [];
+        for (let cy = y - BOMB_RADIUS; cy <= y + BOMB_RADIUS; cy++) {
+            for (let cx = x - BOMB_RADIUS; cx <= x + BOMB_RADIUS; cx++) {
+                if (inside(cx, cy)) cells.push([cx, cy]);
+            }
+        }
+        return { cells };
+    }
+
+    if (type === 'line') {
+        if (toX === undefined || toY === undefined || !inside(toX, toY)) {
+            return { error: 'Pick where the line ends.' };
+        }
+        const steps = Math.max(Math.abs(toX - x), Math.abs(toY - y));
+        if (steps + 1 > LINE_MAX_LENGTH) {
+            return { error: `Lines are at most ${LINE_MAX_LENGTH} pixels long.` };
+        }
+        const cells = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            cells.push([Math.round(x + (toX - x) * t), Math.round(y + (toY - y) * t)]);
+        }
+        return { cells };
+    }
+
+    return { error: 'That power-up is not a tool.' };
+}
@@ -0,0 +1,90 @@
+// functions/protocol.js
+
+// Binary WebSocket frames for canvas data. Everything else is still JSON text frames.
+// The first byte of every binary frame is its type. Multi-byte numbers are little-endian.
+// client.js decodes these in handleBinaryMessage(); keep the two in sync.
+// The snapshot layout is also how GameRoom hands its canvas to the /snapshot route.
+//
+// SNAPSHOT (full canvas, sent after 'gameState'):
+//   u8 type | u16 width | u16 height | u8 paletteLength | paletteLength x (u8 r, u8 g, u8 b)
+//   | width*height x u8 palette index (row-major)
+// PIXEL_UPDATE (batch of placements since the last flush):
+//   u8 type | u16 count | count x (u16 x, u16 y, u8 palette index)
+// HEATMAP (how often each pixel was painted in the round just finished, sent after 'gameOver'):
+//   u8 type | u16 width | u16 height | width*height x u8 count (row-major, capped at 255)
+
+export const FRAME_TYPES = {
+    SNAPSHOT: 1,
+    PIXEL_UPDATE: 2,
+    HEATMAP: 3,
+};
+
+const PIXEL_UPDATE_ENTRY_BYTES = 5;
+export const MAX_PIXELS_PER_FRAME = 0xFFFF; // count is a u16
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+export function encodeSnapshot(width, height, palette, pixels) {
+    const headerBytes = 6 + palette.length * 3;
+    const buffer = new ArrayBuffer(headerBytes + pixels.length);
+    const view = new DataView(buffer);
+    view.setUint8(0, FRAME_TYPES.SNAPSHOT);
+    view.setUint16(1, width, true);
+    view.setUint16(3, height, true);
+    view.setUint8(5, palette.length);
+    palette.forEach((hex, i) => {
+        const [r, g, b] = hexToRgb(hex);
+        view.setUint8(6 + i * 3, r);
+        view.setUint8(7 + i * 3, g);
+        view.setUint8(8 + i * 3, b);
+    });
+    new Uint8Array(buffer, headerBytes).set(pixels);
+    return buffer;
+}
+
+// updates: [{ x, y, colorIndex }], at most MAX_PIXELS_PER_FRAME of them
+export function encodePixelUpdate(updates) {
+    const buffer = new ArrayBuffer(3 + updates.length * PIXEL_UPDATE_ENTRY_BYTES);
+    const view = new DataView(buffer);
+    view.setUint8(0, FRAME_TYPES.PIXEL_UPDATE);
+    view.setUint16(1, updates.length, true);
+    updates.forEach(({ x, y, colorIndex }, i) => {
+        const offset = 3 + i * PIXEL_UPDATE_ENTRY_BYTES;
+        view.setUint16(offset, x, true);
+        view.setUint16(offset + 2, y, true);
+        view.setUint8(offset + 4, colorIndex);
+    });
+    return buffer;
+}
+
+// counts: Uint8Array of width*height heat values (see summarizeRound in functions/results.js)
+export function encodeHeatmap(width, height, counts) {
+    const buffer = new ArrayBuffer(5 + counts.length);
+    const view = new DataView(buffer);
+    view.setUint8(0, FRAME_TYPES.HEATMAP);
+    view.setUint16(1, width, true);
+    view.setUint16(3, height, true);
+    new Uint8Array(buffer, 5).set(counts);
+    return buffer;
+}
+
+// Inverse of encodeSnapshot. Returns { width, height, palette: [[r, g, b], ...], pixels }.
+export function decodeSnapshot(buffer) {
+    const view = new DataView(buffer);
+    if (view.getUint8(0) !== FRAME_TYPES.SNAPSHOT) {
+        throw new Error('Not a snapshot frame');
+    }
+    const width = view.getUint16(1, true);
+    const height = view.getUint16(3, true);
+    const paletteLength = view.getUint8(5);
+    const palette = [];
+    for (let i = 0; i < paletteLength; i++) {
+        const offset = 6 + i * 3;
+        palette.push([view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2)]);
+    }
+    const pixels = new Uint8Array(buffer, 6 + paletteLength * 3, width * height);
+    return { width, height, palette, pixels };
+}
@@ -0,0 +1,33 @@
+// functions/ratelimit.js
+
+// Token bucket: holds up to `capacity` tokens and regains `refillPerSecond` of them
+// every second. Each action takes one token, so short bursts are fine but the
+// sustained rate is capped. Used per player by GameRoom and per IP by the Lobby.
+export class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now) {
+        const elapsedSeconds = (now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+
+    // Takes a token if one is available. Returns false when the caller is over the limit.
+    take(now = Date.now()) {
+        this.refill(now);
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    // A full bucket behaves exactly like a new one, so its owner can forget it.
+    isFull(now = Date.now()) {
+        this.refill(now);
+        return this.tokens >= this.capacity;
+    }
+}
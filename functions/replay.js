@@ -0,0 +1,35 @@
+// functions/replay.js
+
+import { normalizeRoomCode, isValidRoomCode } from './lobby.js';
+import { jsonResponse } from './http.js';
+
+// This function handles GET requests to the /replay path.
+// Returns the placement log of a finished round so the client can play it back as a timelapse.
+// Query parameters:
+//   ?room=ABCD  room code (required)
+//   ?round=N    round number; defaults to the room's most recently finished round
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const requestUrl = new URL(request.url);
+    const roomCode = normalizeRoomCode(requestUrl.searchParams.get('room'));
+    if (!isValidRoomCode(roomCode)) {
+        return jsonResponse({ error: 'A valid room code is required.' }, 400);
+    }
+    const round = requestUrl.searchParams.get('round');
+    if (round !== null && !/^\d+$/.test(round)) {
+        return jsonResponse({ error: 'Round must be a positive number.' }, 400);
+    }
+
+    try {
+        const roomStub = env.GAME_ROOM.get(env.GAME_ROOM.idFromName(roomCode));
+        const url = new URL(request.url);
+        url.pathname = '/internal/do/replay';
+        url.search = '';
+        if (round !== null) url.searchParams.set('round', round);
+        return await roomStub.fetch(url.toString());
+    } catch (error) {
+        console.error('Error in /replay function:', error);
+        return jsonResponse({ error: 'Failed to load replay.' }, 500);
+    }
+}
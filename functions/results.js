@@ -0,0 +1,43 @@
+// functions/results.js
+
+import { BLANK_COLOR_INDEX } from './settings.js';
+
+// Post-game summary of a round, rebuilt from its event log (see the Event Log section
+// of functions/gameroom.js). GameRoom adds each player's peak score, which the log
+// doesn't record, and sends the summary with 'gameOver'.
+
+export const MAX_HEAT = 255; // Heatmap counts are capped to fit a byte each (see encodeHeatmap)
+
+// events: [timestamp, playerId, x, y, oldColorIndex, newColorIndex], oldest first.
+// Returns {
+//   players: { playerId: { pixelsPlaced, pixelsCaptured, capturedFrom: { rivalPlayerId: pixels } } },
+//   heat: Uint8Array, row-major: how often each pixel was painted, up to MAX_HEAT
+// }
+// A capture is credited to the player who painted the pixel last. Pixels blanked by
+// a moderator (playerId null) belong to nobody again.
+export function summarizeRound(events, width, height) {
+    const players = {};
+    const heat = new Uint8Array(width * height);
+    const lastPainter = new Array(width * height).fill(null);
+
+    for (const [, playerId, x, y, oldColorIndex] of events) {
+        const index = y * width + x;
+        if (playerId === null) {
+            lastPainter[index] = null;
+            continue;
+        }
+
+        const stats = players[playerId] ??= { pixelsPlaced: 0, pixelsCaptured: 0, capturedFrom: {} };
+        stats.pixelsPlaced++;
+        if (oldColorIndex !== BLANK_COLOR_INDEX) {
+            stats.pixelsCaptured++;
+            const rival = lastPainter[index];
+            if (rival !== null && rival !== playerId) {
+                stats.capturedFrom[rival] = (stats.capturedFrom[rival] || 0) + 1;
+            }
+        }
+        if (heat[index] < MAX_HEAT) heat[index]++;
+        lastPainter[index] = playerId;
+    }
+    return { players, heat };
+}
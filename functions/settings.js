@@ -0,0 +1,163 @@
+// functions/settings.js
+
+// Per-room game settings. Public rooms use DEFAULT_SETTINGS; private rooms can be
+// created with their own (see the ?settings= parameter in functions/websocket.js).
+// GameRoom stores them under 'settings' on first connect and sends them to clients
+// in 'assignInfo' and 'gameState', so client.js never hard-codes these values.
+
+export const DEFAULT_SETTINGS = {
+    canvasWidth: 100,          // Logical pixels
+    canvasHeight: 100,
+    gameDurationSeconds: 5 * 60,
+    cooldownMs: 1000,          // Minimum time between two placements of one player
+    maxPlayers: 8,
+    minPlayersToStart: 2,
+    playerColors: [
+        '#FF0000', '#00FF00', '#0000FF', '#FFFF00',
+        '#FF00FF', '#00FFFF', '#FFA500', '#800080' // Red, Lime, Blue, Yellow, Magenta, Cyan, Orange, Purple
+    ],
+    teamCount: 0,              // 0 = every player for themselves, 2 to 4 = teams sharing the first teamCount colors
+    gameMode: 'classic',       // Win condition, one of GAME_MODE_NAMES (see functions/gamemodes.js)
+    targetPercent: 25,         // 'race' mode: share of the canvas that wins the round
+    powerUps: true,            // Spawn power-ups on the canvas during rounds (see functions/powerups.js)
+    botFillSeconds: 30,        // Bots join a lone waiting player after this long to make up minPlayersToStart; 0 = never
+};
+
+export const GAME_MODE_NAMES = ['classic', 'territory', 'zones', 'race'];
+
+// The canvas stores indexes into the palette rather than hex strings.
+// Index 0 is the blank (white) background, followed by the player colors.
+export const BLANK_COLOR = '#FFFFFF';
+export const BLANK_COLOR_INDEX = 0;
+
+export function paletteFor(settings) {
+    return [BLANK_COLOR, ...settings.playerColors];
+}
+
+// Inclusive bounds for the numeric settings
+const LIMITS = {
+    canvasWidth: [16, 256],
+    canvasHeight: [16, 256],
+    gameDurationSeconds: [30, 60 * 60],
+    cooldownMs: [0, 60 * 1000],
+    maxPlayers: [1, 16],
+    minPlayersToStart: [1, 16],
+    targetPercent: [5, 100],
+    botFillSeconds: [0, 10 * 60],
+};
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 4;
+const MIN_PLAYER_COLORS = 2;
+const MAX_PLAYER_COLORS = 16;
+const HEX_COLOR_PATTERN = /^#[0-9A-F]{6}$/;
+// Player colors (and the blank color) must be at least this far apart, see colorDistance()
+const MIN_COLOR_DISTANCE = 100;
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+// "Redmean" approximation of perceived difference between two colors, 0 to ~765.
+export function colorDistance(hexA, hexB) {
+    const [r1, g1, b1] = hexToRgb(hexA);
+    const [r2, g2, b2] = hexToRgb(hexB);
+    const meanRed = (r1 + r2) / 2;
+    const dr = r1 - r2;
+    const dg = g1 - g2;
+    const db = b1 - b2;
+    return Math.sqrt((2 + meanRed / 256) * dr * dr + 4 * dg * dg + (2 + (255 - meanRed) / 256) * db * db);
+}
+
+// Checks a (possibly partial) settings object from a client and fills in the
+// defaults. Returns { settings } or { error } with a message fit for players.
+export function validateSettings(input) {
+    if (input === null || input === undefined) {
+        return { settings: { ...DEFAULT_SETTINGS } };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Settings must be an object.' };
+    }
+    const unknown = Object.keys(input).filter(key => !Object.hasOwn(DEFAULT_SETTINGS, key)); // Not inherited names like toString
+    if (unknown.length > 0) {
+        return { error: `Unknown setting: ${unknown[0]}.` };
+    }
+
+    let playerColors = DEFAULT_SETTINGS.playerColors;
+    if (input.playerColors !== undefined) {
+        if (!Array.isArray(input.playerColors) ||
+            input.playerColors.length < MIN_PLAYER_COLORS || input.playerColors.length > MAX_PLAYER_COLORS) {
+            return { error: `playerColors must be a list of ${MIN_PLAYER_COLORS} to ${MAX_PLAYER_COLORS} colors.` };
+        }
+        playerColors = input.playerColors.map(color => typeof color === 'string' ? color.toUpperCase() : color);
+        if (!playerColors.every(color => HEX_COLOR_PATTERN.test(color))) {
+            return { error: 'playerColors must be hex colors like #FF0000.' };
+        }
+        // Players must be able to tell every color apart, and from the blank canvas
+        const colors = [BLANK_COLOR, ...playerColors];
+        for (let i = 0; i < colors.length; i++) {
+            for (let j = i + 1; j < colors.length; j++) {
+                if (colorDistance(colors[i], colors[j]) < MIN_COLOR_DISTANCE) {
+                    return { error: `Colors ${colors[i]} and ${colors[j]} are too similar.` };
+                }
+            }
+        }
+    }
+
+    if (input.gameMode !== undefined && !GAME_MODE_NAMES.includes(input.gameMode)) {
+        return { error: `gameMode must be one of ${GAME_MODE_NAMES.join(', ')}.` };
+    }
+
+    const teamCount = input.teamCount ?? DEFAULT_SETTINGS.teamCount;
+    if (teamCount !== 0 && (!Number.isInteger(teamCount) || teamCount < MIN_TEAMS || teamCount > MAX_TEAMS)) {
+        return { error: `teamCount must be 0 (no teams) or ${MIN_TEAMS} to ${MAX_TEAMS}.` };
+    }
+    if (teamCount > playerColors.length) {
+        return { error: 'teamCount cannot exceed the number of playerColors.' }; // Every team needs a color
+    }
+
+    // Player limits default to what the chosen colors allow. Team members share
+    // a color, so in team mode only the number of teams is limited by the colors.
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        maxPlayers: teamCount ? DEFAULT_SETTINGS.maxPlayers : Math.min(DEFAULT_SETTINGS.maxPlayers, playerColors.length),
+        ...input,
+        playerColors,
+        teamCount,
+    };
+    if (input.minPlayersToStart === undefined) {
+        settings.minPlayersToStart = Math.min(Math.max(DEFAULT_SETTINGS.minPlayersToStart, teamCount), settings.maxPlayers);
+    }
+
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+        const value = settings[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: `${key} must be a whole number from ${min} to ${max}.` };
+        }
+    }
+    if (typeof settings.powerUps !== 'boolean') {
+        return { error: 'powerUps must be true or false.' };
+    }
+    if (!teamCount && settings.maxPlayers > playerColors.length) {
+        return { error: 'maxPlayers cannot exceed the number of playerColors.' }; // Every player needs a color
+    }
+    if (settings.minPlayersToStart > settings.maxPlayers) {
+        return { error: 'minPlayersToStart cannot exceed maxPlayers.' };
+    }
+    if (settings.minPlayersToStart < teamCount) {
+        return { error: 'minPlayersToStart must be at least teamCount, so every team has a player.' };
+    }
+    return { settings };
+}
+
+// Settings travel as JSON in a query parameter. Returns { settings } or { error }.
+export function parseSettingsParam(param) {
+    if (param === null) {
+        return validateSettings(null);
+    }
+    try {
+        return validateSettings(JSON.parse(param));
+    } catch (error) {
+        return { error: 'Settings must be valid JSON.' };
+    }
+}
@@ -0,0 +1,63 @@
+// functions/snapshot.js
+
+import { normalizeRoomCode, isValidRoomCode } from './lobby.js';
+import { jsonResponse } from './http.js';
+import { decodeSnapshot } from './protocol.js';
+import { encodePng } from './png.js';
+
+// --- Constants ---
+const MAX_IMAGE_SIZE = 2048; // Largest width or height of the PNG; caps the scale for big canvases
+
+// This function handles GET requests to the /snapshot path.
+// Returns a room's canvas as a PNG image.
+// Query parameters:
+//   ?room=ABCD  room code (required)
+//   ?scale=N    size of each canvas pixel in the image (default 1), up to MAX_IMAGE_SIZE overall
+//   ?round=N    a finished round (rebuilt from its event log) instead of the current canvas
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const requestUrl = new URL(request.url);
+    const roomCode = normalizeRoomCode(requestUrl.searchParams.get('room'));
+    if (!isValidRoomCode(roomCode)) {
+        return jsonResponse({ error: 'A valid room code is required.' }, 400);
+    }
+    const scale = Number(requestUrl.searchParams.get('scale') || 1);
+    if (!Number.isInteger(scale) || scale < 1) {
+        return jsonResponse({ error: 'Scale must be a positive whole number.' }, 400);
+    }
+    const round = requestUrl.searchParams.get('round');
+    if (round !== null && !/^\d+$/.test(round)) {
+        return jsonResponse({ error: 'Round must be a positive number.' }, 400);
+    }
+
+    try {
+        const roomStub = env.GAME_ROOM.get(env.GAME_ROOM.idFromName(roomCode));
+        const url = new URL(request.url);
+        url.pathname = '/internal/do/canvas';
+        url.search = '';
+        if (round !== null) url.searchParams.set('round', round);
+        const canvasResponse = await roomStub.fetch(url.toString());
+        if (!canvasResponse.ok) {
+            return canvasResponse; // JSON error from the room
+        }
+
+        const { width, height, palette, pixels } = decodeSnapshot(await canvasResponse.arrayBuffer());
+        if (Math.max(width, height) * scale > MAX_IMAGE_SIZE) {
+            const maxScale = Math.floor(MAX_IMAGE_SIZE / Math.max(width, height));
+            return jsonResponse({ error: `Scale must be at most ${maxScale} for this ${width}x${height} canvas.` }, 400);
+        }
+        const png = await encodePng(width, height, palette, pixels, scale);
+        const filename = `canvas-${roomCode}${round !== null ? `-round${round}` : ''}.png`;
+        return new Response(png, {
+            headers: {
+                'Content-Type': 'image/png',
+                'Content-Disposition': `inline; filename="${filename}"`,
+                'Cache-Control': canvasResponse.headers.get('Cache-Control') || 'no-store',
+            },
+        });
+    } catch (error) {
+        console.error('Error in /snapshot function:', error);
+        return jsonResponse({ error: 'Failed to render snapshot.' }, 500);
+    }
+}
@@ -0,0 +1,168 @@
+// functions/stats.js
+
+import { jsonResponse } from './http.js';
+
+// --- Constants ---
+const STATS_NAME = 'global-stats'; // Single instance that collects results from every room
+const LEADERBOARD_SIZE = 100; // Entries kept per leaderboard
+const WEEKS_KEPT = 2; // Weekly stats of the current and previous week are kept, older ones deleted
+
+// Helper used by GameRoom and the HTTP routes to reach the stats store.
+export function getStatsStub(env) {
+    return env.STATS.get(env.STATS.idFromName(STATS_NAME));
+}
+
+// ISO-8601 week of a timestamp, e.g. '2026-W42'. Weeks start on Monday (UTC).
+export function weekKey(timestamp) {
+    const date = new Date(timestamp);
+    const day = (date.getUTCDay() + 6) % 7; // Monday = 0
+    // The Thursday of this week decides which year the week belongs to
+    const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day + 3);
+    const year = new Date(thursday).getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+// Leaderboard order: wins, then best score, then pixels placed.
+function compareStats(a, b) {
+    return (b.wins - a.wins) || (b.bestScore - a.bestScore) || (b.pixelsPlaced - a.pixelsPlaced);
+}
+
+function emptyStats(playerId) {
+    return { playerId, name: null, wins: 0, gamesPlayed: 0, pixelsPlaced: 0, pixelsCaptured: 0, bestScore: 0, lastPlayedAt: null };
+}
+
+// --- Durable Object Class: Stats ---
+// Cross-game player statistics. GameRoom reports every finished round here.
+// Per player totals live under 'player:<playerId>' and weekly ones under
+// 'week:<week>:<playerId>'. The top LEADERBOARD_SIZE players of each are kept
+// sorted under 'leaderboard:all' and 'leaderboard:<week>', so reading a
+// leaderboard never scans every player. Stats only ever grow, so a player can
+// only enter a leaderboard when one of their rounds is reported.
+export class Stats {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        try {
+            if (request.method === 'POST' && url.pathname === '/internal/stats/report') {
+                return await this.handleReport(await request.json());
+            }
+            if (request.method === 'GET' && url.pathname === '/internal/stats/leaderboard') {
+                return await this.handleLeaderboard(url);
+            }
+            if (request.method === 'GET' && url.pathname === '/internal/stats/player') {
+                return await this.handlePlayer(url.searchParams.get('id'));
+            }
+        } catch (error) {
+            console.error('[Stats] Failed to handle request:', error);
+            return jsonResponse({ error: 'Invalid stats request.' }, 400);
+        }
+        return jsonResponse({ error: 'Not found.' }, 404);
+    }
+
+    // Results of one finished round:
+    // { roomCode, round, endedAt, players: [{ playerId, name, score, won, pixelsPlaced, pixelsCaptured }] }
+    async handleReport({ roomCode, round, endedAt, players }) {
+        const week = weekKey(endedAt);
+        await this.pruneOldWeeks(week);
+
+        const playerKeys = players.map(p => `player:${p.playerId}`);
+        const weekKeys = players.map(p => `week:${week}:${p.playerId}`);
+        const stored = await this.state.storage.get([...playerKeys, ...weekKeys]);
+
+        const entries = {};
+        const updatedAllTime = [];
+        const updatedWeekly = [];
+        players.forEach((result, i) => {
+            const allTime = this.addResult(stored.get(playerKeys[i]) || emptyStats(result.playerId), result, endedAt);
+            const weekly = this.addResult(stored.get(weekKeys[i]) || emptyStats(result.playerId), result, endedAt);
+            entries[playerKeys[i]] = allTime;
+            entries[weekKeys[i]] = weekly;
+            updatedAllTime.push(allTime);
+            updatedWeekly.push(weekly);
+        });
+
+        const leaderboards = await this.state.storage.get(['leaderboard:all', `leaderboard:${week}`]);
+        entries['leaderboard:all'] = this.mergeLeaderboard(leaderboards.get('leaderboard:all'), updatedAllTime);
+        entries[`leaderboard:${week}`] = this.mergeLeaderboard(leaderboards.get(`leaderboard:${week}`), updatedWeekly);
+        await this.state.storage.put(entries);
+
+        console.log(`[Stats] Recorded round ${round} of room ${roomCode} (${players.length} players).`);
+        return jsonResponse({ ok: true });
+    }
+
+    addResult(stats, result, endedAt) {
+        return {
+            ...stats,
+            name: result.name || stats.name || null, // Latest nickname the player used
+            wins: stats.wins + (result.won ? 1 : 0),
+            gamesPlayed: stats.gamesPlayed + 1,
+            pixelsPlaced: stats.pixelsPlaced + result.pixelsPlaced,
+            pixelsCaptured: stats.pixelsCaptured + result.pixelsCaptured,
+            bestScore: Math.max(stats.bestScore, result.score),
+            lastPlayedAt: endedAt,
+        };
+    }
+
+    mergeLeaderboard(leaderboard = [], updated) {
+        const updatedIds = new Set(updated.map(s => s.playerId));
+        return [...leaderboard.filter(s => !updatedIds.has(s.playerId)), ...updated]
+            .sort(compareStats)
+            .slice(0, LEADERBOARD_SIZE);
+    }
+
+    // period: 'all' (default) or 'week'
+    async handleLeaderboard(url) {
+        const period = url.searchParams.get('period') || 'all';
+        if (period !== 'all' && period !== 'week') {
+            return jsonResponse({ error: "period must be 'all' or 'week'." }, 400);
+        }
+        const limit = Math.max(1, Math.min(Math.floor(Number(url.searchParams.get('limit'))) || LEADERBOARD_SIZE, LEADERBOARD_SIZE));
+        const week = period === 'week' ? weekKey(Date.now()) : null;
+        const leaderboard = await this.state.storage.get(week ? `leaderboard:${week}` : 'leaderboard:all') || [];
+        return jsonResponse({
+            period,
+            week,
+            entries: leaderboard.slice(0, limit).map((stats, i) => ({ rank: i + 1, ...stats })),
+        });
+    }
+
+    async handlePlayer(playerId) {
+        if (!playerId) {
+            return jsonResponse({ error: 'Player id is required.' }, 400);
+        }
+        const week = weekKey(Date.now());
+        const stored = await this.state.storage.get([`player:${playerId}`, `week:${week}:${playerId}`, 'leaderboard:all']);
+        const allTime = stored.get(`player:${playerId}`);
+        if (!allTime) {
+            return jsonResponse({ error: 'No games recorded for this player.' }, 404);
+        }
+        const rank = (stored.get('leaderboard:all') || []).findIndex(s => s.playerId === playerId) + 1;
+        return jsonResponse({
+            ...allTime,
+            rank: rank || null, // null when outside the top LEADERBOARD_SIZE
+            week: { week, ...(stored.get(`week:${week}:${playerId}`) || emptyStats(playerId)) },
+        });
+    }
+
+    // Delete the weekly entries of weeks that are no longer served, once per new week.
+    async pruneOldWeeks(currentWeek) {
+        const knownWeeks = await this.state.storage.get('weeks') || [];
+        if (knownWeeks.includes(currentWeek)) return;
+
+        const weeks = [...knownWeeks, currentWeek].sort();
+        const expired = weeks.slice(0, Math.max(0, weeks.length - WEEKS_KEPT));
+        for (const week of expired) {
+            const keys = [...(await this.state.storage.list({ prefix: `week:${week}:` })).keys(), `leaderboard:${week}`];
+            for (let i = 0; i < keys.length; i += 128) {
+                await this.state.storage.delete(keys.slice(i, i + 128)); // delete() takes at most 128 keys
+            }
+            console.log(`[Stats] Deleted weekly stats of ${week}.`);
+        }
+        await this.state.storage.put('weeks', weeks.slice(expired.length));
+    }
+}
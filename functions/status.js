@@ -0,0 +1,34 @@
+// functions/status.js
+
+import { normalizeRoomCode, isValidRoomCode } from './lobby.js';
+import { jsonResponse, CORS_HEADERS } from './http.js';
+
+// This function handles GET requests to the /status path.
+// Returns a room's state as JSON for integrations that don't play: phase, round,
+// time left, settings, players with their scores and team scores. For live updates
+// follow /events instead of polling.
+// Query parameters:
+//   ?room=ABCD  room code (required)
+//   ?canvas=1   also include the canvas: { width, height, palette, pixels } where pixels
+//               is the base64 encoded palette index of every pixel, row by row
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    const requestUrl = new URL(request.url);
+    const roomCode = normalizeRoomCode(requestUrl.searchParams.get('room'));
+    if (!isValidRoomCode(roomCode)) {
+        return jsonResponse({ error: 'A valid room code is required.' }, 400, CORS_HEADERS);
+    }
+
+    try {
+        const roomStub = env.GAME_ROOM.get(env.GAME_ROOM.idFromName(roomCode));
+        const url = new URL(request.url);
+        url.pathname = '/internal/do/status';
+        url.search = '';
+        if (requestUrl.searchParams.get('canvas') === '1') url.searchParams.set('canvas', '1');
+        return await roomStub.fetch(url.toString());
+    } catch (error) {
+        console.error('Error in /status function:', error);
+        return jsonResponse({ error: 'Failed to load room status.' }, 500, CORS_HEADERS);
+    }
+}
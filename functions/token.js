@@ -0,0 +1,70 @@
+// functions/token.js
+
+// Signed player tokens. GameRoom hands one out in 'assignInfo' and the client
+// sends it back when it reconnects, so the player keeps the same playerId (and
+// with it their slot and color) instead of getting a fresh identity.
+// Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+
+// --- Constants ---
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // A week; the identity outlives any single room
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// TOKEN_SECRET is configured as a secret (`wrangler pages secret put TOKEN_SECRET`).
+async function getSigningKey(env) {
+    if (!env.TOKEN_SECRET) {
+        console.warn('TOKEN_SECRET is not set; player tokens are disabled.');
+        return null;
+    }
+    return crypto.subtle.importKey(
+        'raw',
+        encoder.encode(env.TOKEN_SECRET),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+// Returns a token for playerId, or null when signing isn't configured.
+export async function createPlayerToken(env, playerId) {
+    const key = await getSigningKey(env);
+    if (!key) return null;
+
+    const payload = toBase64Url(encoder.encode(JSON.stringify({
+        playerId,
+        expiresAt: Date.now() + TOKEN_TTL_MS,
+    })));
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+    return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// Returns the playerId a token was issued for, or null if it is malformed,
+// tampered with or expired.
+export async function verifyPlayerToken(env, token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const key = await getSigningKey(env);
+    if (!key) return null;
+
+    try {
+        const [payload, signature] = token.split('.');
+        const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(payload));
+        if (!valid) return null;
+
+        const { playerId, expiresAt } = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+        if (typeof playerId !== 'string' || !(expiresAt > Date.now())) return null;
+        return playerId;
+    } catch (error) {
+        return null; // Bad base64 or JSON
+    }
+}
@@ -0,0 +1,116 @@
+// functions/validation.js
+
+// Shape checks for messages clients send to a GameRoom. Every message is a JSON
+// text frame { type, payload }, and each type has a schema for its payload.
+// Anything that doesn't match is rejected before the room acts on it.
+
+export const MAX_MESSAGE_BYTES = 1024; // Larger frames close the socket (1009) without being parsed
+
+const utf8Encoder = new TextEncoder();
+
+// Size of a frame as it came over the wire: text frames are UTF-8, so a string's
+// length (UTF-16 units) undercounts anything outside ASCII.
+export function messageBytes(data) {
+    return typeof data === 'string' ? utf8Encoder.encode(data).length : data.byteLength;
+}
+
+// Field types: 'integer', 'boolean', 'string'. A trailing '?' makes the field optional.
+// Payload fields not listed in the schema are rejected.
+const MESSAGE_SCHEMAS = {
+    placePixel: { x: 'integer', y: 'integer', seq: 'integer?' },
+    ready: { ready: 'boolean?' },
+    setName: { name: 'string' },
+    pickColor: { color: 'string' },
+    switchTeam: { team: 'integer' },
+    usePowerUp: { powerUp: 'string', x: 'integer?', y: 'integer?', toX: 'integer?', toY: 'integer?' },
+    chat: { text: 'string' },
+    emote: { emote: 'string', x: 'integer?', y: 'integer?' },
+    addBot: { strategy: 'string?' },
+    removeBot: { playerId: 'string' },
+    rematchVote: { vote: 'boolean' },
+};
+
+const NICKNAME_MIN_LENGTH = 2;
+export const NICKNAME_MAX_LENGTH = 16;
+const NICKNAME_PATTERN = /^[\p{L}\p{N}_\- ]+$/u; // Letters and digits of any script, '_', '-' and spaces
+export const MAX_CHAT_LENGTH = 200;
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isSafeInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'string': return typeof value === 'string';
+        default: return false;
+    }
+}
+
+// Returns { message } or { error } with a message fit for players.
+export function parseClientMessage(data) {
+    if (typeof data !== 'string') {
+        return { error: 'Binary messages are not accepted.' };
+    }
+
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        return { error: 'Invalid message format.' };
+    }
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+        return { error: 'Invalid message format.' };
+    }
+
+    // Own properties only: 'toString' or '__proto__' must not pass for a message type or field
+    if (typeof message.type !== 'string' || !Object.hasOwn(MESSAGE_SCHEMAS, message.type)) {
+        return { error: 'Unknown message type.' };
+    }
+    const schema = MESSAGE_SCHEMAS[message.type];
+
+    const payload = message.payload ?? {};
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: `Invalid ${message.type} payload.` };
+    }
+    for (const key of Object.keys(payload)) {
+        if (!Object.hasOwn(schema, key)) {
+            return { error: `Unexpected field in ${message.type}: ${key}.` };
+        }
+    }
+    for (const [key, fieldType] of Object.entries(schema)) {
+        const optional = fieldType.endsWith('?');
+        const value = payload[key];
+        if (value === undefined && optional) continue;
+        if (!matchesType(value, optional ? fieldType.slice(0, -1) : fieldType)) {
+            return { error: `Invalid ${message.type} field: ${key}.` };
+        }
+    }
+    return { message: { type: message.type, payload } };
+}
+
+// Trims and collapses whitespace, then checks length and characters.
+// Returns { name } or { error }. Uniqueness is up to the room.
+export function validateNickname(input) {
+    if (typeof input !== 'string') {
+        return { error: 'Nickname is required.' };
+    }
+    const name = input.trim().replace(/\s+/g, ' ');
+    if (name.length < NICKNAME_MIN_LENGTH || name.length > NICKNAME_MAX_LENGTH) {
+        return { error: `Nickname must be ${NICKNAME_MIN_LENGTH} to ${NICKNAME_MAX_LENGTH} characters.` };
+    }
+    if (!NICKNAME_PATTERN.test(name)) {
+        return { error: 'Nickname may only use letters, digits, spaces, _ and -.' };
+    }
+    return { name };
+}
+
+// Trims and collapses whitespace (line breaks included) and drops control characters.
+// Returns { text } or { error }.
+export function validateChatText(input) {
+    const text = input.replace(/\p{Cc}/gu, ' ').trim().replace(/\s+/g, ' ');
+    if (text.length === 0) {
+        return { error: 'Message is empty.' };
+    }
+    if (text.length > MAX_CHAT_LENGTH) {
+        return { error: `Messages can be at most ${MAX_CHAT_LENGTH} characters.` };
+    }
+    return { text };
+}
@@ -1,6 +1,18 @@
 // functions/websocket.js
 
+import { getLobbyStub } from './lobby.js';
+import { verifyPlayerToken } from './token.js';
+import { parseSettingsParam } from './settings.js';
+import { validateNickname } from './validation.js';
+
 // This function handles requests to the /websocket path.
+// Optional query parameters:
+//   ?room=ABCD  join the room with that code
+//   ?room=new   create a new private room
+//   ?settings={...}  with room=new: JSON room settings, see functions/settings.js
+//   ?token=...  player token from a previous 'assignInfo', to keep the same identity
+//   ?name=...   nickname; the room appends a number if someone there already uses it
+//   ?role=spectator  watch the room (or the busiest public game) without taking a player slot
 export async function onRequest(context) {
     const { request, env } = context; // Get request and environment bindings
 
@@ -10,24 +22,65 @@ export async function onRequest(context) {
         return new Response('Expected Upgrade: websocket', { status: 426 });
     }
 
-    // Basic matchmaking: Use a single named Durable Object instance for simplicity.
-    // A real application would need a more robust matchmaking system (e.g., finding rooms with space).
-    const roomName = "default-room";
-    const playerId = crypto.randomUUID(); // Generate a unique ID for this connection attempt
+    const requestUrl = new URL(request.url);
+    const requestedRoom = requestUrl.searchParams.get('room');
+    const role = requestUrl.searchParams.get('role') === 'spectator' ? 'spectator' : 'player';
+    // Returning players prove who they are with their signed token. Everyone else
+    // gets a fresh ID for this connection attempt.
+    const tokenPlayerId = await verifyPlayerToken(env, requestUrl.searchParams.get('token'));
+    const playerId = tokenPlayerId || crypto.randomUUID();
+    const ip = request.headers.get('CF-Connecting-IP'); // Set by Cloudflare; used for per-address limits
+
+    const settingsParam = requestUrl.searchParams.get('settings');
+    if (settingsParam !== null && requestedRoom !== 'new') {
+        return rejectWebSocket('Settings can only be chosen when creating a room.');
+    }
+    const { settings, error: settingsError } = parseSettingsParam(settingsParam);
+    if (settingsError) {
+        return rejectWebSocket(`Invalid room settings: ${settingsError}`);
+    }
+
+    const nameParam = requestUrl.searchParams.get('name');
+    const { name, error: nameError } = nameParam !== null ? validateNickname(nameParam) : { name: null };
+    if (nameError) {
+        return rejectWebSocket(nameError);
+    }
 
     try {
-        // Get the Durable Object stub for the game room.
+        // Ask the lobby which room this player belongs in. It picks a public room
+        // with space (creating one if needed) or resolves a private room code.
+        const lobbyResponse = await getLobbyStub(env).fetch('https://lobby/internal/lobby/join', {
+            method: 'POST',
+            // A known player coming back to a specific room may be reclaiming a held slot,
+            // so the room (not the lobby) decides whether there's space for them.
+            body: JSON.stringify({ room: requestedRoom, rejoin: Boolean(tokenPlayerId && requestedRoom), role, settings, ip }),
+        });
+        const assignment = await lobbyResponse.json();
+        if (!lobbyResponse.ok) {
+            return rejectWebSocket(assignment.error || 'Unable to join room.');
+        }
+
+        // Get the Durable Object stub for the assigned game room.
         // env.GAME_ROOM is the binding name defined in wrangler.toml.
-        const roomId = env.GAME_ROOM.idFromName(roomName);
+        const roomId = env.GAME_ROOM.idFromName(assignment.code);
         const roomStub = env.GAME_ROOM.get(roomId);
 
-        console.log(`Matchmaking: Attempting to connect player ${playerId.substring(0,6)} to room DO ${roomId}`);
+        console.log(`Matchmaking: Attempting to connect player ${playerId.substring(0,6)} to room ${assignment.code} (DO ${roomId})`);
 
         // Forward the WebSocket request to the Durable Object's fetch handler.
-        // Pass the playerId via URL parameter. The DO will handle color assignment.
+        // Pass the playerId and room code via URL parameters. The DO will handle color assignment.
         const url = new URL(request.url);
         url.pathname = `/internal/do/connect`; // Internal path for DO fetch (doesn't matter to client)
+        url.search = '';
         url.searchParams.set('playerId', playerId);
+        url.searchParams.set('roomCode', assignment.code);
+        if (assignment.createdAt) url.searchParams.set('createdAt', assignment.createdAt); // Lets a reused room object start fresh
+        url.searchParams.set('role', role);
+        if (ip) url.searchParams.set('ip', ip);
+        if (name) url.searchParams.set('name', name);
+        if (assignment.created) {
+            url.searchParams.set('settings', JSON.stringify(settings)); // The room stores these on this first connection
+        }
 
         console.log(`Forwarding WebSocket request to DO at URL: ${url.toString()}`);
 
@@ -45,3 +98,13 @@ export async function onRequest(context) {
         return new Response("Internal server error during WebSocket connection.", { status: 500 });
     }
 }
+
+// Complete the upgrade just long enough to tell the client why it can't join.
+// A plain HTTP error on an upgrade request only shows up as an anonymous close.
+function rejectWebSocket(message) {
+    const { 0: clientWs, 1: serverWs } = new WebSocketPair();
+    serverWs.accept();
+    serverWs.send(JSON.stringify({ type: 'error', message }));
+    serverWs.close(1008, message);
+    return new Response(null, { status: 101, webSocket: clientWs });
+}
@@ -0,0 +1,122 @@
+// --- Constants and Configuration ---
+const TOKEN_STORAGE_KEY = 'canvasclash.playerToken'; // Same key as client.js
+const PROFILE_FIELDS = [ // [field, label] shown in the profile, for all-time and weekly stats
+    ['wins', 'Wins'],
+    ['gamesPlayed', 'Games played'],
+    ['bestScore', 'Best score'],
+    ['pixelsPlaced', 'Pixels placed'],
+    ['pixelsCaptured', 'Pixels captured'],
+];
+
+// --- DOM Elements ---
+const periodTabsEl = document.getElementById('period-tabs');
+const rankingsBodyEl = document.getElementById('rankings-body');
+const rankingsStatusEl = document.getElementById('rankings-status');
+const profileEl = document.getElementById('player-profile');
+const profileNameEl = document.getElementById('profile-name');
+const profileStatsEl = document.getElementById('profile-stats');
+
+// --- State ---
+let currentPeriod = 'all';
+const ownPlayerId = readOwnPlayerId();
+
+// Our player id is inside the token the game stored (see functions/token.js for the format).
+// Only used to highlight our row; the server never trusts it from here.
+function readOwnPlayerId() {
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (!token) return null;
+    try {
+        const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload)).playerId || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Players who haven't played since nicknames were added have no name yet.
+function displayName(stats) {
+    const name = stats.name || `Player ${stats.playerId.substring(0, 6)}`;
+    return stats.playerId === ownPlayerId ? `${name} (you)` : name;
+}
+
+// --- Leaderboard ---
+async function loadLeaderboard(period) {
+    currentPeriod = period;
+    periodTabsEl.querySelectorAll('button').forEach(button => {
+        button.classList.toggle('active', button.dataset.period === period);
+    });
+    rankingsStatusEl.textContent = 'Loading...';
+
+    try {
+        const response = await fetch(`/leaderboard?period=${period}`);
+        const data = await response.json();
+        if (!response.ok) {
+            rankingsStatusEl.textContent = data.error || 'Failed to load leaderboard.';
+            return;
+        }
+        if (period !== currentPeriod) return; // Another tab was picked meanwhile
+        renderLeaderboard(data.entries);
+        rankingsStatusEl.textContent = data.entries.length === 0 ? 'No games played yet.' : '';
+    } catch (error) {
+        console.error('Failed to load leaderboard:', error);
+        rankingsStatusEl.textContent = 'Failed to load leaderboard.';
+    }
+}
+
+function renderLeaderboard(entries) {
+    rankingsBodyEl.innerHTML = '';
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.classList.toggle('own', entry.playerId === ownPlayerId);
+        [entry.rank, displayName(entry), entry.wins, entry.gamesPlayed,
+         entry.bestScore, entry.pixelsPlaced, entry.pixelsCaptured].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        row.addEventListener('click', () => loadProfile(entry.playerId));
+        rankingsBodyEl.appendChild(row);
+    });
+}
+
+// --- Player Profile ---
+async function loadProfile(playerId) {
+    try {
+        const response = await fetch(`/player?id=${encodeURIComponent(playerId)}`);
+        if (!response.ok) {
+            profileEl.hidden = true;
+            return;
+        }
+        renderProfile(await response.json());
+    } catch (error) {
+        console.error('Failed to load player:', error);
+    }
+}
+
+function renderProfile(profile) {
+    profileNameEl.textContent = `${displayName(profile)}${profile.rank ? ` (#${profile.rank})` : ''}`;
+    profileStatsEl.innerHTML = '';
+    PROFILE_FIELDS.forEach(([field, label]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const value = document.createElement('dd');
+        value.textContent = `${profile[field]} all time, ${profile.week[field]} this week`;
+        profileStatsEl.append(term, value);
+    });
+    profileEl.hidden = false;
+}
+
+// --- Initialization ---
+function init() {
+    periodTabsEl.addEventListener('click', event => {
+        const period = event.target.dataset?.period;
+        if (period) loadLeaderboard(period);
+    });
+    loadLeaderboard('all');
+    if (ownPlayerId) {
+        loadProfile(ownPlayerId); // Hidden again if we have no recorded games
+    }
+}
+
+// --- Start the application ---
+init();
@@ -0,0 +1,495 @@
+// tools/simulate.js
+
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import { installRuntime, MemoryState, recordingNamespace } from './simulation/runtime.js';
+import { GameRoom } from '../functions/gameroom.js';
+import { BOT_STRATEGIES, BOT_STRATEGY_NAMES } from '../functions/bots.js';
+import { GAME_MODE_NAMES, validateSettings } from '../functions/settings.js';
+
+// Load test and simulation driver for GameRoom. Runs the real room class under Node
+// with in-memory stand-ins for the runtime (tools/simulation/runtime.js) and N
+// scripted players who click the moment their cooldown allows, then reports message
+// throughput, storage writes and how the final scores are spread.
+//
+//   node tools/simulate.js [options]       (Node 20.19+ or 22+, no install needed)
+//
+//   --players N      scripted players (default 8); more than 8 needs --teams
+//   --seconds S      playing time before the round is ended (default 30)
+//   --cooldown MS    settings.cooldownMs (default 1000)
+//   --size N         canvas width and height (default 100)
+//   --mode NAME      settings.gameMode (default classic)
+//   --teams N        settings.teamCount (default 0)
+//   --strategy NAME  how players pick pixels: a bot strategy from functions/bots.js or 'mixed' (default)
+//   --jitter MS      players click up to this long after their cooldown ends (default 20)
+//   --power-ups      spawn power-ups (players collect them but never use them)
+//   --seed N         seed for Math.random, so runs pick the same pixels (default 1)
+//   --json           print the report as JSON
+//
+// The round goes through the room's own lobby, ready check and countdown first, so a
+// run takes about 5 seconds longer than --seconds.
+
+// --- Constants ---
+const ROOM_CODE = 'SIMU';
+const MIN_ROUND_SECONDS = 30; // Shortest gameDurationSeconds settings allow; shorter runs end the round early
+const SETTLE_MS = 200; // Wait for the last messages after the round ends
+const ANSWER_TIMEOUT_MS = 1000; // Players click again if a placement goes unanswered this long (a muted player's are dropped)
+
+// --- Options ---
+
+function readOptions() {
+    const { values } = parseArgs({
+        options: {
+            players: { type: 'string', default: '8' },
+            seconds: { type: 'string', default: '30' },
+            cooldown: { type: 'string', default: '1000' },
+            size: { type: 'string', default: '100' },
+            mode: { type: 'string', default: 'classic' },
+            teams: { type: 'string', default: '0' },
+            strategy: { type: 'string', default: 'mixed' },
+            jitter: { type: 'string', default: '20' },
+            'power-ups': { type: 'boolean', default: false },
+            seed: { type: 'string', default: '1' },
+            json: { type: 'boolean', default: false },
+        },
+    });
+    const number = name => {
+        const value = Number(values[name]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`--${name} must be a number of at least 0.`);
+        }
+        return value;
+    };
+    const options = {
+        players: number('players'),
+        seconds: number('seconds'),
+        cooldownMs: number('cooldown'),
+        size: number('size'),
+        mode: values.mode,
+        teams: number('teams'),
+        strategy: values.strategy,
+        jitterMs: number('jitter'),
+        powerUps: values['power-ups'],
+        seed: number('seed'),
+        json: values.json,
+    };
+    if (!Number.isInteger(options.players) || options.players < 1) {
+        throw new Error('--players must be a whole number of at least 1.');
+    }
+    if (!GAME_MODE_NAMES.includes(options.mode)) {
+        throw new Error(`--mode must be one of ${GAME_MODE_NAMES.join(', ')}.`);
+    }
+    if (options.strategy !== 'mixed' && !BOT_STRATEGY_NAMES.includes(options.strategy)) {
+        throw new Error(`--strategy must be one of ${[...BOT_STRATEGY_NAMES, 'mixed'].join(', ')}.`);
+    }
+    const { error } = validateSettings(roomSettings(options)); // The room would quietly fall back to the defaults
+    if (error) {
+        throw new Error(`These options make invalid room settings: ${error}`);
+    }
+    return options;
+}
+
+// Settings for the room, checked by the room itself like any client's
+function roomSettings(options) {
+    return {
+        canvasWidth: options.size,
+        canvasHeight: options.size,
+        gameDurationSeconds: Math.max(MIN_ROUND_SECONDS, Math.ceil(options.seconds)),
+        cooldownMs: options.cooldownMs,
+        maxPlayers: options.players,
+        minPlayersToStart: options.players,
+        teamCount: options.teams,
+        gameMode: options.mode,
+        powerUps: options.powerUps,
+        botFillSeconds: 0,
+    };
+}
+
+// Small seeded generator (mulberry32) standing in for Math.random
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// --- Metrics ---
+
+// Running count, total and maximum of a series of durations (or sizes)
+function createSeries() {
+    return { count: 0, total: 0, max: 0, values: [] };
+}
+
+function record(series, value) {
+    series.count++;
+    series.total += value;
+    series.max = Math.max(series.max, value);
+    series.values.push(value);
+}
+
+function percentile(series, fraction) {
+    if (series.count === 0) return 0;
+    const sorted = [...series.values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function summarizeSeries(series) {
+    return {
+        count: series.count,
+        average: series.count ? series.total / series.count : 0,
+        p95: percentile(series, 0.95),
+        max: series.max,
+    };
+}
+
+function createMetrics() {
+    return {
+        placementsSent: 0,
+        accepted: 0,
+        rejections: {}, // reason -> count
+        errors: {}, // message -> count
+        messagesIn: 0, // Client to room
+        messagesOut: 0, // Room to clients, counted per receiving client
+        binaryOut: 0,
+        bytesOut: 0,
+        messageTypes: {}, // JSON messages to clients by type
+        answerLatency: createSeries(), // ms from placePixel to its placeAck / placeReject
+        broadcast: createSeries(),
+        saveState: createSeries(),
+    };
+}
+
+// Wraps room[name] to time its synchronous part into metrics[name]: what the room
+// spends before its first await, which is where broadcast and saveState do their work.
+function timeMethod(room, name, metrics) {
+    const original = room[name].bind(room);
+    room[name] = (...args) => {
+        const start = performance.now();
+        const result = original(...args);
+        record(metrics[name], performance.now() - start);
+        return result;
+    };
+}
+
+// --- Scripted players ---
+
+class SimPlayer {
+    constructor(room, index, strategyName, options, metrics) {
+        this.room = room;
+        this.index = index;
+        this.strategyName = strategyName;
+        this.options = options;
+        this.metrics = metrics;
+        this.ws = null;
+        this.playerId = `sim-player-${index}`;
+        this.color = null;
+        this.phase = null;
+        this.seq = 0;
+        this.sentAt = new Map(); // seq -> performance.now() when sent, for answer latency
+        this.clickTimer = null;
+        this.gameOver = null;
+        this.onRoundStart = null; // Set by simulate(): runs when the round starts, before this player's first click
+    }
+
+    async connect(settings) {
+        const params = new URLSearchParams({
+            playerId: this.playerId,
+            roomCode: ROOM_CODE,
+            name: `Sim ${this.index + 1}`,
+            settings: JSON.stringify(settings),
+        });
+        const response = await this.room.fetch(new Request(`https://room/websocket?${params}`, {
+            headers: { Upgrade: 'websocket' },
+        }));
+        if (response.status !== 101) {
+            throw new Error(`Player ${this.index + 1} was refused: ${await response.text()}`);
+        }
+        this.ws = response.webSocket;
+        this.ws.addEventListener('message', event => this.handleMessage(event.data));
+        this.ws.addEventListener('close', event => {
+            this.metrics.closes.push({ player: this.index + 1, code: event.code, reason: event.reason });
+            this.stop();
+        });
+    }
+
+    send(type, payload) {
+        this.metrics.messagesIn++;
+        this.ws.send(JSON.stringify({ type, payload }));
+    }
+
+    handleMessage(data) {
+        const binary = typeof data !== 'string';
+        this.metrics.messagesOut++;
+        this.metrics.bytesOut += binary ? data.byteLength : Buffer.byteLength(data);
+        if (binary) {
+            this.metrics.binaryOut++;
+            return;
+        }
+
+        const message = JSON.parse(data);
+        this.metrics.messageTypes[message.type] = (this.metrics.messageTypes[message.type] || 0) + 1;
+        switch (message.type) {
+            case 'assignInfo':
+            case 'colorChanged':
+                this.color = message.color;
+                break;
+            case 'phase':
+                this.phase = message.phase;
+                if (message.phase === 'readyCheck') {
+                    this.send('ready', {});
+                } else if (message.phase === 'playing') {
+                    this.onRoundStart?.();
+                    this.scheduleClick(0);
+                }
+                break;
+            case 'placeAck':
+            case 'placeReject':
+                this.answered(message);
+                break;
+            case 'gameOver':
+                this.gameOver = message;
+                this.stop();
+                break;
+            case 'error':
+                this.metrics.errors[message.message] = (this.metrics.errors[message.message] || 0) + 1;
+                break;
+        }
+    }
+
+    answered(message) {
+        const sentAt = this.sentAt.get(message.seq);
+        this.sentAt.delete(message.seq);
+        if (sentAt !== undefined) record(this.metrics.answerLatency, performance.now() - sentAt);
+        if (message.type === 'placeAck') {
+            this.metrics.accepted++;
+        } else {
+            this.metrics.rejections[message.reason] = (this.metrics.rejections[message.reason] || 0) + 1;
+        }
+        // Click again the moment the server allows it, on the server's clock
+        this.scheduleClick(Math.max(0, message.nextAllowedAt - message.serverTime));
+    }
+
+    scheduleClick(delayMs) {
+        clearTimeout(this.clickTimer);
+        if (this.phase !== 'playing') return;
+        this.clickTimer = setTimeout(() => this.click(), delayMs + Math.random() * this.options.jitterMs);
+    }
+
+    click() {
+        if (this.phase !== 'playing' || this.ws.readyState !== 1) return;
+        const cell = BOT_STRATEGIES[this.strategyName].pickCell(this.room, this.room.palette.indexOf(this.color));
+        if (!cell) {
+            this.scheduleClick(this.options.cooldownMs); // Nothing to paint right now
+            return;
+        }
+        this.seq++;
+        this.sentAt.set(this.seq, performance.now());
+        this.metrics.placementsSent++;
+        this.send('placePixel', { x: cell[0], y: cell[1], seq: this.seq });
+        this.clickTimer = setTimeout(() => this.click(), ANSWER_TIMEOUT_MS); // Replaced by the answer's
+    }
+
+    stop() {
+        clearTimeout(this.clickTimer);
+        this.clickTimer = null;
+        this.phase = null;
+    }
+}
+
+// --- Simulation ---
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeoutMs, what) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}.`);
+        await sleep(20);
+    }
+}
+
+async function simulate(options) {
+    installRuntime();
+    Math.random = seededRandom(options.seed);
+
+    const state = new MemoryState('simulation');
+    const env = { LOBBY: recordingNamespace(), STATS: recordingNamespace(), TOKEN_SECRET: 'simulation' };
+    const room = new GameRoom(state, env);
+    state.bind(room);
+    await state.ready;
+
+    const metrics = { ...createMetrics(), closes: [] };
+    timeMethod(room, 'broadcast', metrics);
+    timeMethod(room, 'saveState', metrics);
+
+    const strategies = options.strategy === 'mixed' ? BOT_STRATEGY_NAMES : [options.strategy];
+    const players = Array.from({ length: options.players },
+        (_, i) => new SimPlayer(room, i, strategies[i % strategies.length], options, metrics));
+    const settings = roomSettings(options);
+    for (const player of players) {
+        await player.connect(settings);
+    }
+
+    // Only the playing part of the run counts. The counters are reset as the first player
+    // learns the round has started, so no placement is sent before the reset.
+    let startedAt = null;
+    const startRound = () => {
+        if (startedAt !== null) return;
+        Object.assign(metrics, createMetrics());
+        players.forEach(player => player.sentAt.clear());
+        state.storage.resetCounts();
+        env.LOBBY.requests = 0;
+        env.STATS.requests = 0;
+        startedAt = performance.now();
+    };
+    players.forEach(player => { player.onRoundStart = startRound; });
+    await waitFor(() => startedAt !== null, 30 * 1000, 'the round to start');
+
+    await sleep(options.seconds * 1000);
+    if (room.phase === 'playing') {
+        await room.endGame();
+    }
+    const elapsedSeconds = (performance.now() - startedAt) / 1000;
+    await sleep(SETTLE_MS);
+
+    players.forEach(player => player.stop());
+    state.storage.stop();
+    state.getWebSockets().forEach(ws => ws.close(1000, 'Simulation over'));
+
+    return buildReport(options, room, players, metrics, state.storage.counts, env, elapsedSeconds);
+}
+
+function buildReport(options, room, players, metrics, storage, env, elapsedSeconds) {
+    const rate = count => count / elapsedSeconds;
+    const gameOver = players.find(player => player.gameOver)?.gameOver ?? null;
+    const scores = gameOver
+        ? gameOver.players.map(player => ({ name: player.name, strategy: players.find(p => p.playerId === player.playerId)?.strategyName, score: gameOver.scores[player.playerId] || 0 }))
+        : [];
+    scores.sort((a, b) => b.score - a.score);
+    const values = scores.map(entry => entry.score);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    const mean = values.length ? total / values.length : 0;
+
+    return {
+        options,
+        elapsedSeconds,
+        placements: {
+            sent: metrics.placementsSent,
+            accepted: metrics.accepted,
+            acceptedPerSecond: rate(metrics.accepted),
+            rejections: metrics.rejections,
+            unanswered: players.reduce((sum, player) => sum + player.sentAt.size, 0),
+            answerLatencyMs: summarizeSeries(metrics.answerLatency),
+        },
+        messages: {
+            in: metrics.messagesIn,
+            inPerSecond: rate(metrics.messagesIn),
+            out: metrics.messagesOut,
+            outPerSecond: rate(metrics.messagesOut),
+            binaryOut: metrics.binaryOut,
+            bytesOutPerSecond: rate(metrics.bytesOut),
+            types: metrics.messageTypes,
+        },
+        broadcastMs: { ...summarizeSeries(metrics.broadcast), perSecond: rate(metrics.broadcast.count) },
+        saveStateMs: { ...summarizeSeries(metrics.saveState), perSecond: rate(metrics.saveState.count) },
+        storage: {
+            puts: storage.put,
+            putsPerSecond: rate(storage.put),
+            keysWritten: storage.keysWritten,
+            keysWrittenPerSecond: rate(storage.keysWritten),
+            bytesWrittenPerSecond: rate(storage.bytesWritten),
+            gets: storage.get,
+            lists: storage.list,
+            alarms: storage.alarms,
+        },
+        subrequests: { lobby: env.LOBBY.requests, stats: env.STATS.requests },
+        errors: metrics.errors,
+        closes: metrics.closes.filter(close => close.reason !== 'Simulation over'),
+        scores: {
+            winner: gameOver ? gameOver.winnerName ?? (gameOver.winningTeam !== null ? `Team ${gameOver.winningTeam + 1}` : 'Draw') : null,
+            players: scores,
+            teamScores: gameOver?.teamScores ?? [],
+            mean,
+            min: values.length ? Math.min(...values) : 0,
+            max: values.length ? Math.max(...values) : 0,
+            standardDeviation: Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length || 1)),
+            topShare: total ? values[0] / total : 0,
+            canvasCovered: room.canvas.filter(colorIndex => colorIndex !== 0).length / room.canvas.length,
+        },
+    };
+}
+
+// --- Output ---
+
+const format = (value, digits = 1) => value.toLocaleString('en-US', { maximumFractionDigits: digits });
+const formatCounts = counts => Object.entries(counts).map(([key, count]) => `${key}: ${count}`).join(', ') || 'none';
+
+function printReport(report) {
+    const { options, placements, messages, storage, scores } = report;
+    const lines = [
+        `Simulated ${options.players} players for ${format(report.elapsedSeconds)}s on a ${options.size}x${options.size} canvas ` +
+            `(${options.mode}${options.teams ? `, ${options.teams} teams` : ''}, cooldown ${options.cooldownMs} ms, strategy ${options.strategy})`,
+        '',
+        `Placements    ${placements.sent} sent, ${placements.accepted} accepted (${format(placements.acceptedPerSecond)}/s), rejected: ${formatCounts(placements.rejections)}, ` +
+            `${placements.unanswered} unanswered`,
+        `              answered in ${format(placements.answerLatencyMs.average, 2)} ms on average, p95 ${format(placements.answerLatencyMs.p95, 2)} ms, max ${format(placements.answerLatencyMs.max, 2)} ms`,
+        `Messages in   ${messages.in} (${format(messages.inPerSecond)}/s)`,
+        `Messages out  ${messages.out} delivered (${format(messages.outPerSecond)}/s, ${messages.binaryOut} binary), ${format(messages.bytesOutPerSecond / 1024)} KB/s`,
+        `broadcast()   ${report.broadcastMs.count} calls (${format(report.broadcastMs.perSecond)}/s), ${format(report.broadcastMs.average, 3)} ms on average, p95 ${format(report.broadcastMs.p95, 3)} ms, max ${format(report.broadcastMs.max, 3)} ms`,
+        `saveState()   ${report.saveStateMs.count} calls (${format(report.saveStateMs.perSecond)}/s), ${format(report.saveStateMs.average, 3)} ms on average, p95 ${format(report.saveStateMs.p95, 3)} ms, max ${format(report.saveStateMs.max, 3)} ms`,
+        `Storage       ${storage.puts} puts (${format(storage.putsPerSecond)}/s), ${storage.keysWritten} keys written (${format(storage.keysWrittenPerSecond)}/s), ` +
+            `${format(storage.bytesWrittenPerSecond / 1024)} KB/s; ${storage.gets} gets, ${storage.lists} lists, ${storage.alarms} alarms`,
+        `Subrequests   lobby ${report.subrequests.lobby}, stats ${report.subrequests.stats}`,
+        `Errors        ${formatCounts(report.errors)}`,
+    ];
+    report.closes.forEach(close => lines.push(`Disconnected  player ${close.player}: ${close.code} ${close.reason}`));
+
+    lines.push('', `Final scores (winner: ${scores.winner ?? 'none'}, ${format(scores.canvasCovered * 100)}% of the canvas painted)`);
+    const nameWidth = Math.max(0, ...scores.players.map(entry => entry.name.length));
+    scores.players.forEach(entry => {
+        const bar = '#'.repeat(scores.max ? Math.round(30 * entry.score / scores.max) : 0);
+        lines.push(`  ${entry.name.padEnd(nameWidth)}  ${String(entry.score).padStart(6)}  ${bar} ${entry.strategy ?? ''}`);
+    });
+    if (scores.teamScores.length > 0) {
+        lines.push(`  Teams: ${scores.teamScores.map((score, team) => `Team ${team + 1} ${score}`).join(', ')}`);
+    }
+    lines.push(`  mean ${format(scores.mean)}, standard deviation ${format(scores.standardDeviation)}, ` +
+        `min ${scores.min}, max ${scores.max}, leader holds ${format(scores.topShare * 100)}% of all points`);
+    console.log(lines.join('\n'));
+}
+
+// --- Main ---
+
+async function main() {
+    let options;
+    try {
+        options = readOptions();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+        return;
+    }
+
+    const log = console.log;
+    console.log = () => {}; // The room logs every phase change and placement problem
+    let report;
+    try {
+        report = await simulate(options);
+    } finally {
+        console.log = log;
+    }
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+main().catch(error => {
+    console.error('Simulation failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,238 @@
+// tools/simulation/runtime.js
+
+import { serialize } from 'node:v8';
+
+// In-memory stand-ins for the parts of the Workers runtime GameRoom uses, so the
+// real Durable Object class runs under plain Node (see tools/simulate.js):
+//   WebSocketPair / sockets   the server end is wired to the room's hibernation handlers
+//   MemoryState / storage     get, put, delete, list and a single alarm, with counters
+//   recordingNamespace        a Durable Object binding whose stubs answer every fetch with {}
+// Everything is delivered asynchronously, like the network, so handlers interleave
+// the way they would in production. Nothing here hibernates or evicts the room.
+
+// --- Sockets ---
+
+export class SimWebSocket {
+    constructor() {
+        this.peer = null;
+        this.readyState = SimWebSocket.OPEN;
+        this.listeners = {}; // Client end: event type -> [handler]
+        this.handlers = null; // Server end, once accepted: { message, close } into the room
+        this.attachment = null;
+        this.tags = [];
+    }
+
+    // Plain accept() of the Workers API, used by the room for sockets it closes right away
+    accept() {}
+
+    addEventListener(type, handler) {
+        (this.listeners[type] ||= []).push(handler);
+    }
+
+    send(data) {
+        if (this.readyState !== SimWebSocket.OPEN) {
+            throw new Error('WebSocket is closed');
+        }
+        const peer = this.peer;
+        setImmediate(() => peer.receive(data));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState !== SimWebSocket.OPEN) return;
+        this.readyState = SimWebSocket.CLOSED;
+        this.peer.readyState = SimWebSocket.CLOSED;
+        const peer = this.peer;
+        setImmediate(() => peer.receiveClose(code, reason));
+    }
+
+    receive(data) {
+        if (this.handlers) {
+            this.handlers.message(data);
+        } else {
+            (this.listeners.message || []).forEach(handler => handler({ data }));
+        }
+    }
+
+    receiveClose(code, reason) {
+        if (this.handlers) {
+            this.handlers.close(code, reason);
+        } else {
+            (this.listeners.close || []).forEach(handler => handler({ code, reason }));
+        }
+    }
+
+    serializeAttachment(value) {
+        this.attachment = structuredClone(value);
+    }
+
+    deserializeAttachment() {
+        return structuredClone(this.attachment);
+    }
+}
+SimWebSocket.OPEN = 1;
+SimWebSocket.CLOSED = 3;
+
+function createWebSocketPair() {
+    const client = new SimWebSocket();
+    const server = new SimWebSocket();
+    client.peer = server;
+    server.peer = client;
+    return { 0: client, 1: server };
+}
+
+// Node's Response refuses status 101; the Workers one also carries the client end of
+// the socket pair on it.
+class WorkersResponse extends Response {
+    constructor(body, init = {}) {
+        super(body, { ...init, status: init.status === 101 ? 200 : init.status });
+        this.upgradeStatus = init.status ?? 200;
+        this.webSocket = init.webSocket ?? null;
+    }
+
+    get status() {
+        return this.upgradeStatus;
+    }
+}
+
+// Puts the stand-ins where the room expects the runtime's globals. Call before
+// creating a room.
+export function installRuntime() {
+    globalThis.WebSocketPair = createWebSocketPair;
+    globalThis.Response = WorkersResponse;
+}
+
+// --- Storage ---
+
+// Bytes a value takes in storage, near enough: its structured clone serialization.
+function storedBytes(value) {
+    return serialize(value).length;
+}
+
+export class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+        this.alarmAt = null;
+        this.alarmTimer = null;
+        this.onAlarm = null; // Set by MemoryState
+        this.stopped = false;
+        this.resetCounts();
+    }
+
+    resetCounts() {
+        this.counts = { get: 0, put: 0, keysWritten: 0, bytesWritten: 0, delete: 0, list: 0, alarms: 0 };
+    }
+
+    async get(key) {
+        this.counts.get++;
+        if (Array.isArray(key)) {
+            return new Map(key.filter(k => this.data.has(k)).map(k => [k, structuredClone(this.data.get(k))]));
+        }
+        return structuredClone(this.data.get(key));
+    }
+
+    // put(key, value) or put({ key: value, ... }), like the Durable Object API
+    async put(keyOrEntries, value) {
+        this.counts.put++;
+        const entries = typeof keyOrEntries === 'string' ? { [keyOrEntries]: value } : keyOrEntries;
+        for (const [key, entryValue] of Object.entries(entries)) {
+            this.counts.keysWritten++;
+            this.counts.bytesWritten += storedBytes(entryValue);
+            this.data.set(key, structuredClone(entryValue));
+        }
+    }
+
+    async delete(key) {
+        this.counts.delete++;
+        if (Array.isArray(key)) {
+            return key.filter(k => this.data.delete(k)).length;
+        }
+        return this.data.delete(key);
+    }
+
+    async list({ prefix = '' } = {}) {
+        this.counts.list++;
+        const keys = [...this.data.keys()].filter(key => key.startsWith(prefix)).sort();
+        return new Map(keys.map(key => [key, structuredClone(this.data.get(key))]));
+    }
+
+    async setAlarm(time) {
+        clearTimeout(this.alarmTimer);
+        if (this.stopped) return;
+        this.alarmAt = Number(time);
+        this.alarmTimer = setTimeout(() => {
+            this.alarmAt = null;
+            this.counts.alarms++;
+            this.onAlarm?.();
+        }, Math.max(0, this.alarmAt - Date.now()));
+    }
+
+    async getAlarm() {
+        return this.alarmAt;
+    }
+
+    async deleteAlarm() {
+        clearTimeout(this.alarmTimer);
+        this.alarmAt = null;
+    }
+
+    // No more alarms, so the process can exit once the simulation is over
+    stop() {
+        this.stopped = true;
+        this.deleteAlarm();
+    }
+}
+
+// --- Durable Object state ---
+
+export class MemoryState {
+    constructor(name) {
+        this.id = { name, toString: () => `sim-${name}` };
+        this.storage = new MemoryStorage();
+        this.sockets = [];
+        this.ready = Promise.resolve();
+        this.object = null; // The Durable Object, see bind()
+    }
+
+    // The object whose handlers sockets and alarms are delivered to
+    bind(object) {
+        this.object = object;
+        this.storage.onAlarm = () => object.alarm();
+    }
+
+    blockConcurrencyWhile(callback) {
+        this.ready = callback();
+        return this.ready;
+    }
+
+    acceptWebSocket(ws, tags = []) {
+        ws.tags = tags;
+        ws.handlers = {
+            message: data => this.object.webSocketMessage(ws, data),
+            close: (code, reason) => {
+                this.sockets = this.sockets.filter(socket => socket !== ws);
+                this.object.webSocketClose(ws, code, reason, true);
+            },
+        };
+        this.sockets.push(ws);
+    }
+
+    getWebSockets(tag) {
+        return this.sockets.filter(ws => ws.readyState === SimWebSocket.OPEN && (!tag || ws.tags.includes(tag)));
+    }
+}
+
+// A Durable Object namespace (env.LOBBY, env.STATS) that only counts the requests
+// sent to it. Enough for a room that just reports to the lobby and the stats store.
+export function recordingNamespace() {
+    const namespace = {
+        requests: 0,
+        idFromName: name => ({ name, toString: () => `sim-${name}` }),
+        get: () => ({
+            fetch: async () => {
+                namespace.requests++;
+                return new Response('{}', { headers: { 'Content-Type': 'application/json' } });
+            },
+        }),
+    };
+    return namespace;
+}